@@ -44,9 +44,10 @@
     const stored = get();
     apply(stored || sysTheme());
 
+    // Follows the os while nothing is stored (again after `theme --system`).
     const mq = window.matchMedia?.('(prefers-color-scheme: light)');
-    if (mq && !stored) {
-      const onSys = () => apply(sysTheme());
+    if (mq) {
+      const onSys = () => { if (!get()) apply(sysTheme()); };
       mq.addEventListener?.('change', onSys);
       mq.addListener?.(onSys);
     }
@@ -279,6 +280,31 @@
     mq.addListener?.(onMq);
   }
 
+  /* -------- project data -------- */
+  // The .project cards in #projectsGrid are the one source for projects: the
+  // modal, the palette and the shell's /projects all read them through here.
+  // A card names its file (data-slug) and its case-study title (data-title);
+  // data-body, where present, is a longer case study than the card's own
+  // paragraph. Year, tags, highlights and links are the card's own markup.
+  function readProjects() {
+    const text = el => (el?.textContent || '').replace(/\s+/g, ' ').trim();
+    return $$('#projectsGrid .project[data-slug]').map(el => {
+      // The h3 may hold a status badge; the name is its own text.
+      const name = [...($('h3', el)?.childNodes || [])].filter(n => n.nodeType === Node.TEXT_NODE).map(n => n.textContent).join('').trim();
+      return {
+        el,
+        slug: el.dataset.slug,
+        name,
+        title: el.dataset.title || name,
+        year: text($('.proj-year', el)),
+        tags: $$('.meta .tag', el).map(text),
+        body: el.dataset.body || text($('p', el)),
+        highlights: $$('.impact li', el).map(text),
+        links: $$('.links a[href]', el).map(a => ({ label: text(a).replace(/\s*[↗↓]$/, ''), url: a.getAttribute('href') })),
+      };
+    });
+  }
+
   /* -------- projects filter + search -------- */
   function initProjects() {
     const chips = $$('.chip');
@@ -287,8 +313,12 @@
     const noResults = $('#noResults');
     if (!projects.length) return null;
 
+    // Filter tags are the card's categories plus its tech tags (rust, redis…).
     const items = projects.map(el => {
-      const tags = norm(el.getAttribute('data-tags') || '').split(/\s+/).filter(Boolean);
+      const tags = [
+        ...norm(el.getAttribute('data-tags') || '').split(/\s+/).filter(Boolean),
+        ...$$('.meta .tag', el).map(t => norm(t.textContent)),
+      ];
       const title = norm($('h3', el)?.textContent || '');
       const blob = `${title} ${tags.join(' ')} ${norm(el.textContent || '')}`.trim();
       return { el, tags, blob };
@@ -301,7 +331,8 @@
       chips.forEach(c => c.setAttribute('aria-pressed', 'false'));
       chipEl?.setAttribute('aria-pressed', 'true');
     };
-    const apply = ({ updateUrl = true } = {}) => {
+    // syncHash writes #projects?… even while another section owns the hash.
+    const apply = ({ updateUrl = true, syncHash = false } = {}) => {
       let visible = 0;
       for (const it of items) {
         const okFilter = filter === 'all' || it.tags.includes(filter);
@@ -320,19 +351,23 @@
         const q = params.toString();
         const cur = window.location.hash.split('?')[0] || '';
         const isProj = cur === '#projects' || !cur;
-        if (isProj && (q || cur === '#projects')) {
+        if (syncHash || (isProj && (q || cur === '#projects'))) {
           history.replaceState(null, '', q ? `#projects?${q}` : '#projects');
         }
       }
     };
 
-    const setFilter = next => {
+    const setFilter = (next, opts) => {
       filter = norm(next) || 'all';
       const target = chips.find(c => (c.getAttribute('data-filter') || 'all') === filter);
       press(target);
-      apply();
+      apply(opts);
+    };
+    const setQuery = (q, opts) => {
+      query = norm(q);
+      if (input && norm(input.value) !== query) input.value = q;
+      apply(opts);
     };
-    const setQuery = q => { query = norm(q); apply(); };
 
     chips.forEach(c => c.addEventListener('click', () => setFilter(c.getAttribute('data-filter') || 'all')));
 
@@ -362,7 +397,12 @@
       apply({ updateUrl: false });
     }
 
-    return { setFilter, setQuery, focusSearch: () => input?.focus() };
+    return {
+      setFilter,
+      setQuery,
+      focusSearch: () => input?.focus(),
+      state: () => ({ filter, query, visible: items.filter(it => it.el.style.display !== 'none').map(it => it.el) }),
+    };
   }
 
   /* -------- modal -------- */
@@ -414,21 +454,14 @@
       }
     };
 
-    const fillFromButton = btn => {
+    // Fills the modal from a readProjects() entry. Closing it refocuses
+    // `returnFocus`, or whatever had focus when it opened.
+    const show = ({ title = 'Project', body = '', tags = [], links = [] }, { returnFocus } = {}) => {
       if (titleEl) titleEl.textContent = '';
       if (bodyEl) bodyEl.textContent = '';
       if (tagsEl) tagsEl.innerHTML = '';
       if (linksEl) linksEl.innerHTML = '';
 
-      const title = btn.getAttribute('data-title') || 'Project';
-      const body = btn.getAttribute('data-body') || '';
-      const tags = (btn.getAttribute('data-tags') || '').split('•').map(s => s.trim()).filter(Boolean);
-      let links = [];
-      try {
-        const parsed = JSON.parse(btn.getAttribute('data-links') || '[]');
-        if (Array.isArray(parsed)) links = parsed;
-      } catch {}
-
       if (titleEl) titleEl.textContent = title;
       if (bodyEl) bodyEl.textContent = body;
 
@@ -443,21 +476,24 @@
         const a = document.createElement('a');
         a.className = 'btn';
         a.href = l.url;
-        a.target = '_blank';
-        a.rel = 'noreferrer';
+        // In-page links (#shell) navigate; the rest open a tab
+        if (/^https?:/.test(l.url)) { a.target = '_blank'; a.rel = 'noreferrer'; }
         a.textContent = l.label || 'Link';
         a.addEventListener('click', () => setOpen(false));
         linksEl?.appendChild(a);
       });
 
       setOpen(true);
+      if (returnFocus) prevFocus = returnFocus;
     };
 
+    // Buttons name a project card with data-project="<slug>".
     document.addEventListener('click', e => {
       const btn = e.target instanceof Element ? e.target.closest('.open-modal') : null;
-      if (!btn) return;
+      const project = btn && readProjects().find(p => p.slug === btn.getAttribute('data-project'));
+      if (!project) return;
       e.preventDefault();
-      fillFromButton(btn);
+      show(project);
     });
 
     backdrop?.addEventListener('click', () => setOpen(false));
@@ -476,7 +512,7 @@
     if (!modal.hasAttribute('aria-hidden')) modal.setAttribute('aria-hidden', 'true');
     modal.hidden = modal.getAttribute('aria-hidden') !== 'false';
 
-    return { open: () => setOpen(true), close: () => setOpen(false) };
+    return { open: () => setOpen(true), close: () => setOpen(false), show };
   }
 
   /* -------- toast -------- */
@@ -510,7 +546,7 @@
   }
 
   /* -------- command palette -------- */
-  function initPalette(projects) {
+  function initPalette(projects, modal) {
     const palette = $('#palette');
     const input = $('#paletteInput');
     const list = $('#paletteList');
@@ -544,6 +580,7 @@
       { id: 'f-games',  label: 'Filter projects: Games',      hint: '▢', kind: 'filter', action: () => { goSection('projects'); projects?.setFilter('games'); } },
       { id: 'f-infra',  label: 'Filter projects: Infra',      hint: '▢', kind: 'filter', action: () => { goSection('projects'); projects?.setFilter('infra'); } },
       { id: 'f-tools',  label: 'Filter projects: Tools',      hint: '▢', kind: 'filter', action: () => { goSection('projects'); projects?.setFilter('tools'); } },
+      ...readProjects().map(p => ({ id: `p-${p.slug}`, label: `Project: ${p.name}`, hint: p.year, kind: 'do', action: () => modal?.show(p) })),
     ];
 
     let filtered = items.slice();
@@ -580,9 +617,12 @@
         row.setAttribute('aria-selected', i === selected ? 'true' : 'false');
         row.innerHTML = `
           <span class="palette-icon mono">${iconFor(it.kind)}</span>
-          <span class="palette-label">${it.label}</span>
-          <span class="palette-hint">${it.hint}</span>
+          <span class="palette-label"></span>
+          <span class="palette-hint"></span>
         `;
+        // Labels may come from plugins, so they go in as text.
+        $('.palette-label', row).textContent = it.label;
+        $('.palette-hint', row).textContent = it.hint;
         row.addEventListener('click', () => { runItem(it); });
         row.addEventListener('mouseenter', () => {
           selected = i;
@@ -674,6 +714,19 @@
       const t = $('.kbd-keys', btn);
       if (t) t.innerHTML = '<span>Ctrl</span><span>K</span>';
     }
+
+    // Adds an item, or replaces the one with the same id.
+    const addItem = item => {
+      if (!item?.id || !item.label || typeof item.action !== 'function') {
+        throw new Error('palette items need an id, a label and an action()');
+      }
+      const next = { id: String(item.id), label: String(item.label), hint: String(item.hint ?? ''), kind: item.kind || 'do', action: item.action };
+      const at = items.findIndex(it => it.id === next.id);
+      if (at >= 0) items[at] = next;
+      else items.push(next);
+    };
+
+    return { addItem };
   }
 
   /* -------- copy on contact-row click -------- */
@@ -792,9 +845,176 @@
      TERMINAL — virtual shell with a real REPL
      ========================================================================== */
 
+  // Built-in nodes are read-only, owned by root and dated to the deploy.
+  // Project files open with a header like `name — summary   [ 2024 → active ]`;
+  // its years become `range` ({ from, to }, to being a year or a status).
+  const DEPLOYED = Date.parse(document.lastModified) || Date.now();
+  const byteLength = s => new TextEncoder().encode(s).length;
+  const projectRange = content => {
+    const m = /\[\s*(\d{4})(?:\s*[→—-]\s*([^\]]*?))?\s*\]\s*$/.exec(content.split('\n', 1)[0]);
+    if (!m) return null;
+    const to = m[2] === undefined ? m[1] : m[2];
+    return { from: +m[1], to: /^\d{4}$/.test(to) ? +to : to };
+  };
+  const fileNode = (content, { mode = '-r--r--r--', mtime = DEPLOYED } = {}) => ({
+    type: 'file', content, size: byteLength(content), mtime, mode, owner: 'root', range: projectRange(content),
+  });
+  const dirNode = (children, mtime = DEPLOYED) => ({ type: 'dir', children, size: 4096, mtime, mode: 'dr-xr-xr-x', owner: 'root' });
+
+  const wordWrap = (text, width = 72) => text.split(' ').reduce((lines, word) => {
+    const last = lines[lines.length - 1];
+    if (last && last.length + word.length >= width) lines.push(word);
+    else lines[lines.length - 1] = last ? `${last} ${word}` : word;
+    return lines;
+  }, ['']).join('\n');
+
+  // The hand-written middle of each /projects file: prose and highlights
+  // that go deeper than the card. Title, year, stack and links come from the
+  // card, so they can't drift.
+  const PROJECT_NOTES = {
+    realfiction: `a live, user-facing multi-server java game network running on ubuntu /
+oracle cloud free-tier infrastructure. designed, deployed, and currently
+operated end to end. setup includes a velocity proxy, multiple server
+nodes (lobby / arcade / smp / anarchy), mariadb + redis, a reverse proxy
+layer, and a folia / purpur / pufferfish style runtime.
+
+highlights:
+  → proxy routing, plugin interoperability, database access,
+    server configuration, permissions, deployment hygiene.
+  → region-threaded plugin work on folia: refactored unsafe world
+    access into region-safe scheduling; cut async-violation crashes.
+  → tuned jvm, proxy, and chunk / database pipelines under real player
+    load; treated tail latency as the actual kpi, not mean.
+  → owned config hygiene, plugin compatibility, observability —
+    every change shipped behind a known-good baseline.
+`,
+
+    nemesisssbu: `rust runtime / tooling work for a non-commercial super smash bros.
+ultimate modding project with a public community. the work targets
+memory safety, explicit failure handling, and robust api boundaries —
+the kind of layer where being slightly wrong can hurt someone else's
+machine.
+
+why rust over c++:
+  the type system pays for itself in tooling that runs close to a host
+  process. memory safety isn't a feature here — it's a precondition.
+
+highlights:
+  → careful api boundaries between modded code and the host runtime,
+    no silent fallbacks, explicit errors.
+  → emphasized debuggability and explainability for a public modding
+    community.
+  → patched paths designed to fail loudly in dev, gracefully in prod.
+`,
+
+    realchat: `python desktop tool combining screen capture, tesseract ocr, ai-assisted
+interpretation, and os-level automation with explicit safeguards.
+
+highlights:
+  → robust ocr noise filtering for unstable on-screen text and
+    inconsistent ui layouts.
+  → safeguards around input dispatch — predictable, testable
+    automation behavior.
+  → macos packaging: app bundling, encrypted local config, license-key
+    validation, hotkeys, gui.
+`,
+
+    'indie-studio': `co-founded a multi-year indie studio. led development of a multi-year
+software project, owning core systems from initial design through
+production deployment and iteration.
+
+highlights:
+  → engine-level systems: state management, input handling, gameplay
+    logic. clean, well-documented, maintainable codebases.
+  → collaborated with a distributed team using git-based workflows,
+    code reviews, and iterative development.
+  → balanced technical correctness with product goals.
+`,
+
+    folia: `migrated and refactored java plugins to satisfy folia's region-threaded
+model. the interesting bug class here is "looks correct, runs correct,
+crashes once a week."
+
+highlights:
+  → refactored unsafe world access patterns into region-safe scheduling.
+  → eliminated async-thread access violations and slow cleanup leaks.
+  → documented patterns the rest of the plugin set could re-use.
+`,
+
+    lowlevel: `coursework and self-study in computer architecture, assembly, c, and
+operating-systems fundamentals. the kind of work that makes rust's
+borrow checker feel like a friend.
+
+  → assembly and architecture: registers, memory, calling conventions,
+    instruction-level behavior, risc-style concepts.
+  → c / c++ systems study: pointers, memory layout, compilation,
+    os fundamentals.
+  → programming languages: grammars, parsing, finite automata,
+    semantics, recursive descent, shift-reduce.
+`,
+
+    'united-exams': `a full-stack study platform with auth, persistent quiz attempts,
+mastery / streaks, leaderboard, and a polished academic ui.
+
+highlights:
+  → designed sql schema, rls policies, and triggers / views for
+    leaderboard, mastery, and streak tracking.
+  → supabase auth, protected routes, account settings, password reset,
+    email templates.
+  → courses, quizzes, profile, settings, contact — responsive across
+    desktop and mobile.
+  → security fundamentals: least-privilege access, rls, validation,
+    reliable session behavior.
+`,
+
+    'heroic-submission': `backend foundations for an original-ip live-service multiplayer game.
+public catalog api with locale / chapter filtering, account-linking
+groundwork, and epic online services planning for cross-progression.
+
+highlights:
+  → catalog endpoint:
+      get /api/heroic-submission/v1/catalog
+    returns success, requestid, data.meta, currentchapterkey, chapters,
+    paragons, operators, incidentzones, chapterpasstiers, directives,
+    cosmetics.
+  → reads public hs catalog tables; excludes internal release_state and
+    parent chapter data.
+  → public / private boundaries treated as a first-class design concern.
+  → planning eos integration for multiplayer / account foundation.
+`,
+
+    'portfolio-shell': `this site. hand-written html / css / js with an interactive
+terminal-style repl, command history, project search, view transitions,
+and accessible mobile nav — no frameworks.
+
+highlights:
+  → real repl with virtual filesystem (you're using it).
+  → command palette (⌘k), keyboard shortcuts, theme toggle, live local
+    time pinned to berkeley.
+  → deployed via github pages with a cloudflare-managed custom domain.
+`,
+  };
+
+  // /projects/<slug>.md for a project card (see readProjects). Lowercase like
+  // the rest of the FS, so `grep redis` finds what the card calls Redis.
+  const projectFile = p => {
+    const lower = s => s.toLowerCase();
+    const title = lower(p.title), years = `[ ${lower(p.year)} ]`;
+    const out = [`${title}${' '.repeat(Math.max(2, 72 - title.length - years.length))}${years}`, ''];
+    if (p.tags.length) out.push(`stack: ${lower(p.tags.join(' · '))}`, '');
+    if (PROJECT_NOTES[p.slug]) out.push(PROJECT_NOTES[p.slug]);
+    else {
+      out.push(wordWrap(lower(p.body)), '');
+      if (p.highlights.length) out.push('highlights:', ...p.highlights.map(h => `  → ${wordWrap(lower(h), 66).replace(/\n/g, '\n    ')}`), '');
+    }
+    const urls = p.links.filter(l => /^https?:/.test(l.url));
+    if (urls.length) out.push('links:', ...urls.map(l => `  ${l.url}`), '');
+    return out.join('\n');
+  };
+
   const FS = (() => {
-    const f = (content) => ({ type: 'file', content });
-    const d = (children) => ({ type: 'dir', children });
+    const f = fileNode;
+    const d = dirNode;
 
     const README = `welcome to nicholaslasagna.com.
 
@@ -897,175 +1117,24 @@ shortcut: 'email' opens your mail client, 'resume' downloads the pdf.
   coursework  systems, architecture, languages, math
 `;
 
-    const REALFIC = `realfiction — live game server infrastructure        [ 2023 → live ]
-
-stack: java · ubuntu · oracle cloud · velocity · folia/purpur · mariadb · redis
-
-a live, user-facing multi-server java game network running on ubuntu /
-oracle cloud free-tier infrastructure. designed, deployed, and currently
-operated end to end. setup includes a velocity proxy, multiple server
-nodes (lobby / arcade / smp / anarchy), mariadb + redis, a reverse proxy
-layer, and a folia / purpur / pufferfish style runtime.
-
-highlights:
-  → proxy routing, plugin interoperability, database access,
-    server configuration, permissions, deployment hygiene.
-  → region-threaded plugin work on folia: refactored unsafe world
-    access into region-safe scheduling; cut async-violation crashes.
-  → tuned jvm, proxy, and chunk / database pipelines under real player
-    load; treated tail latency as the actual kpi, not mean.
-  → owned config hygiene, plugin compatibility, observability —
-    every change shipped behind a known-good baseline.
-
-links:
-  https://realfiction.live
-  https://github.com/Maze77-AH
-`;
-
-    const NEMESIS = `nemesisssbu — rust runtime tooling                     [ 2024 → active ]
-
-stack: rust · runtime tooling · low-level systems
-
-rust runtime / tooling work for a non-commercial super smash bros.
-ultimate modding project with a public community. the work targets
-memory safety, explicit failure handling, and robust api boundaries —
-the kind of layer where being slightly wrong can hurt someone else's
-machine.
-
-why rust over c++:
-  the type system pays for itself in tooling that runs close to a host
-  process. memory safety isn't a feature here — it's a precondition.
-
-highlights:
-  → careful api boundaries between modded code and the host runtime,
-    no silent fallbacks, explicit errors.
-  → emphasized debuggability and explainability for a public modding
-    community.
-  → patched paths designed to fail loudly in dev, gracefully in prod.
-
-links:
-  https://github.com/NemesisSSBU
-`;
-
-    const REALCHAT = `realchat — ocr desktop automation assistant           [ 2023 ]
-
-stack: python · ocr · tesseract · macos · packaging
-
-python desktop tool combining screen capture, tesseract ocr, ai-assisted
-interpretation, and os-level automation with explicit safeguards.
-
-highlights:
-  → robust ocr noise filtering for unstable on-screen text and
-    inconsistent ui layouts.
-  → safeguards around input dispatch — predictable, testable
-    automation behavior.
-  → macos packaging: app bundling, encrypted local config, license-key
-    validation, hotkeys, gui.
-
-links:
-  https://github.com/Maze77-AH
-`;
-
-    const INDIE = `indie game studio — co-founder & developer            [ 2021 — 2023 ]
-
-stack: unreal engine 4/5 · c++ · c# · java
-
-co-founded a multi-year indie studio. led development of a multi-year
-software project, owning core systems from initial design through
-production deployment and iteration.
-
-highlights:
-  → engine-level systems: state management, input handling, gameplay
-    logic. clean, well-documented, maintainable codebases.
-  → collaborated with a distributed team using git-based workflows,
-    code reviews, and iterative development.
-  → balanced technical correctness with product goals.
-`;
-
-    const FOLIA = `folia compatibility                                    [ 2024 ]
-
-stack: java · concurrency · refactoring
-
-migrated and refactored java plugins to satisfy folia's region-threaded
-model. the interesting bug class here is "looks correct, runs correct,
-crashes once a week."
-
-highlights:
-  → refactored unsafe world access patterns into region-safe scheduling.
-  → eliminated async-thread access violations and slow cleanup leaks.
-  → documented patterns the rest of the plugin set could re-use.
-
-links:
-  https://github.com/Maze77-AH
-`;
-
-    const LOWLEVEL = `low-level cs & systems                                [ ongoing ]
-
-stack: c · assembly (risc-v, masm/x86) · architecture · parsing
-
-coursework and self-study in computer architecture, assembly, c, and
-operating-systems fundamentals. the kind of work that makes rust's
-borrow checker feel like a friend.
-
-  → assembly and architecture: registers, memory, calling conventions,
-    instruction-level behavior, risc-style concepts.
-  → c / c++ systems study: pointers, memory layout, compilation,
-    os fundamentals.
-  → programming languages: grammars, parsing, finite automata,
-    semantics, recursive descent, shift-reduce.
-`;
-
-    const UNITED = `united exams — full-stack study platform              [ 2025 → active ]
-
-stack: next.js (app router) · typescript · supabase · postgresql · rls · tailwind · shadcn/ui
-
-a full-stack study platform with auth, persistent quiz attempts,
-mastery / streaks, leaderboard, and a polished academic ui.
-
-highlights:
-  → designed sql schema, rls policies, and triggers / views for
-    leaderboard, mastery, and streak tracking.
-  → supabase auth, protected routes, account settings, password reset,
-    email templates.
-  → courses, quizzes, profile, settings, contact — responsive across
-    desktop and mobile.
-  → security fundamentals: least-privilege access, rls, validation,
-    reliable session behavior.
-`;
-
-    const HEROIC = `heroic submission — game backend prototype            [ 2025 → r&d ]
-
-stack: next.js · typescript · postgresql · api design · eos (planned)
-
-backend foundations for an original-ip live-service multiplayer game.
-public catalog api with locale / chapter filtering, account-linking
-groundwork, and epic online services planning for cross-progression.
-
-highlights:
-  → catalog endpoint:
-      get /api/heroic-submission/v1/catalog
-    returns success, requestid, data.meta, currentchapterkey, chapters,
-    paragons, operators, incidentzones, chapterpasstiers, directives,
-    cosmetics.
-  → reads public hs catalog tables; excludes internal release_state and
-    parent chapter data.
-  → public / private boundaries treated as a first-class design concern.
-  → planning eos integration for multiplayer / account foundation.
-`;
-
-    const PORTSHELL = `interactive portfolio shell                           [ 2026 ]
+    // Scripts run with `source` / `sh`. The tour is just this file.
+    const INTRO = `# intro.sh — the guided tour. \`tour\` runs this file.
+# each stop scrolls the page, says one line, then waits a beat.
+# copy it (cp demos/intro.sh my-tour.sh), edit it with write, run it with sh.
 
-stack: html · css · javascript · github pages · cloudflare
+# blue stops and a green finish, in ANSI colors (see echo -e).
+info='\\e[34m' ok='\\e[32m' reset='\\e[0m'
 
-this site. hand-written html / css / js with an interactive
-terminal-style repl, command history, project search, view transitions,
-and accessible mobile nav — no frameworks.
+goto shell > /dev/null;      echo -e "$info#shell: you are here. an actual shell, in the page.$reset";        sleep 1.1
+goto work > /dev/null;       echo -e "$info#work: selected work — two live, public-facing systems.$reset";     sleep 1.1
+goto projects > /dev/null;   echo -e "$info#projects: all projects, filterable. try the \\"rust\\" search.$reset";  sleep 1.1
+goto principles > /dev/null; echo -e "$info#principles: six engineering opinions, earned the hard way.$reset";  sleep 1.1
+goto about > /dev/null;      echo -e "$info#about: short bio + texas tech timeline.$reset";                      sleep 1.1
+goto stack > /dev/null;      echo -e "$info#stack: honest stack — what i've actually shipped with.$reset";       sleep 1.1
+goto contact > /dev/null;    echo -e "$info#contact: fastest way to reach me.$reset";                            sleep 1.1
 
-highlights:
-  → real repl with virtual filesystem (you're using it).
-  → command palette (⌘k), keyboard shortcuts, theme toggle, live local
-    time pinned to berkeley.
-  → deployed via github pages with a cloudflare-managed custom domain.
+echo -e "$ok"'tour complete. \\;\\)'"$reset"
+goto shell > /dev/null
 `;
 
     return {
@@ -1076,16 +1145,9 @@ highlights:
         'stack.txt':       f(STACK),
         'contact.txt':     f(CONTACT),
         'education.txt':   f(EDU),
-        'projects':        d({
-          'realfiction.md':       f(REALFIC),
-          'nemesisssbu.md':       f(NEMESIS),
-          'united-exams.md':      f(UNITED),
-          'heroic-submission.md': f(HEROIC),
-          'realchat.md':          f(REALCHAT),
-          'folia.md':             f(FOLIA),
-          'portfolio-shell.md':   f(PORTSHELL),
-          'indie-studio.md':      f(INDIE),
-          'lowlevel.md':          f(LOWLEVEL),
+        'projects':        d(Object.fromEntries(readProjects().map(p => [`${p.slug}.md`, f(projectFile(p))]))),
+        'demos':           d({
+          'intro.sh': f(INTRO, { mode: '-r-xr-xr-x' }),
         }),
         '.secrets':        d({
           'easter.md': f("you found it.\n\ntry the konami code: ↑↑↓↓←→←→ b a\nor type 'fortune' for a quote.\n\np.s. real recruiters get an actual cover letter.\n"),
@@ -1094,7 +1156,7 @@ highlights:
     };
   })();
 
-  function initTerminal() {
+  function initTerminal(projects, modal) {
     const term = document.getElementById('term');
     if (!term) return null;
     const out = document.getElementById('termOutput');
@@ -1102,214 +1164,1946 @@ highlights:
     const input = document.getElementById('termInput');
     const expandBtn = document.getElementById('termExpand');
     const clearBtn = document.getElementById('termClear');
-    const cwdEls = $$('[data-cwd]', term);
+    const cwdEls = $$('[data-cwd]', term).filter(el => !form?.contains(el));
     if (!out || !form || !input) return null;
+    const promptEl = $('.term-prompt', form);
 
     let cwd = '/';
-    const history = [];
     let historyIdx = -1;
 
-    /* ---- output helpers ---- */
-    const escape = s => String(s)
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;');
-
-    const linkify = s => {
+    /* ---- environment ---- */
+    // Live variables are computed on every read; the rest are defaults that
+    // `export` can override. Exported overrides persist across sessions, while
+    // plain `NAME=value` assignments (and loop variables) last for the session.
+    const ENV_KEY = 'shell-env';
+    const envVars = (() => {
+      try {
+        const saved = JSON.parse(localStorage.getItem(ENV_KEY) || '{}');
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+      } catch { return {}; }
+    })();
+    const saveEnv = () => { try { localStorage.setItem(ENV_KEY, JSON.stringify(envVars)); } catch {} };
+    const shellVars = {};
+
+    const LIVE_VARS = {
+      HOME:  { get: () => '/' },
+      PWD:   { get: () => cwd },
+      SHELL: { get: () => '/bin/portfolio-sh' },
+      THEME: { get: () => document.documentElement.getAttribute('data-theme') || 'dark', set: v => setTheme(v) },
+    };
+    const DEFAULT_VARS = {
+      USER: 'nicholas',
+      HOSTNAME: 'portfolio',
+      TERM: 'xterm-256color',
+      PS1: '\\u@\\h:\\w\\$ ',
+    };
+    const VAR_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+    let lastStatus = 0;
+    const getVar = name => {
+      if (name === '?') return String(lastStatus);
+      if (LIVE_VARS[name]) return LIVE_VARS[name].get();
+      const own = (vars) => Object.prototype.hasOwnProperty.call(vars, name);
+      if (own(shellVars)) return shellVars[name];
+      return own(envVars) ? envVars[name] : DEFAULT_VARS[name];
+    };
+    const setVar = (name, value) => {
+      if (!VAR_NAME.test(name)) throw new Error(`'${name}': not a valid identifier`);
+      const live = LIVE_VARS[name];
+      if (live) {
+        if (!live.set) throw new Error(`${name}: readonly variable`);
+        live.set(value);
+      } else {
+        envVars[name] = String(value);
+        delete shellVars[name];
+        saveEnv();
+      }
+      refreshPrompt();
+    };
+    // Assignment without `export`: exported and live names keep their kind.
+    const assignVar = (name, value) => {
+      if (!VAR_NAME.test(name)) throw new Error(`'${name}': not a valid identifier`);
+      if (LIVE_VARS[name] || Object.prototype.hasOwnProperty.call(envVars, name)) return setVar(name, value);
+      shellVars[name] = String(value);
+      refreshPrompt();
+    };
+    // Unsetting a default falls back to it rather than leaving it empty.
+    const unsetVar = name => {
+      if (LIVE_VARS[name]) throw new Error(`${name}: cannot unset: readonly variable`);
+      delete envVars[name];
+      delete shellVars[name];
+      saveEnv();
+      refreshPrompt();
+    };
+    const allVars = () => {
+      const names = new Set([...Object.keys(LIVE_VARS), ...Object.keys(DEFAULT_VARS), ...Object.keys(envVars)]);
+      return [...names].sort().map(n => [n, getVar(n)]);
+    };
+
+    /* ---- aliases ---- */
+    // User aliases, persisted. They are spliced in as tokens when their name
+    // is the first word of a command, so an alias may hold pipes or `;`.
+    const ALIAS_KEY = 'shell-aliases';
+    const aliases = (() => {
+      try {
+        const saved = JSON.parse(localStorage.getItem(ALIAS_KEY) || '{}');
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+      } catch { return {}; }
+    })();
+    const saveAliases = () => { try { localStorage.setItem(ALIAS_KEY, JSON.stringify(aliases)); } catch {} };
+    const ALIAS_NAME = /^[^\s/$`='"|&;<>()\\]+$/;
+    const quoteSh = s => `'${String(s).replace(/'/g, `'\\''`)}'`;
+
+    // 'system' forgets the stored pick, so initTheme follows the os again.
+    const setTheme = next => {
+      if (next === 'system') {
+        try { localStorage.removeItem('theme'); } catch {}
+        next = window.matchMedia?.('(prefers-color-scheme: light)')?.matches ? 'light' : 'dark';
+      } else {
+        if (next !== 'light' && next !== 'dark') throw new Error(`THEME: expected light, dark or system, got '${next}'`);
+        try { localStorage.setItem('theme', next); } catch {}
+      }
+      document.documentElement.setAttribute('data-theme', next);
+      $('#themeBtn')?.setAttribute('aria-pressed', next === 'light' ? 'true' : 'false');
+    };
+
+    /* ---- prompt ---- */
+    // Renders a PS1 string into prompt markup. Supported escapes:
+    // \u user, \h / \H host, \w cwd, \W cwd basename, \t 24h time,
+    // \T 12h time, \A hh:mm, \d date, \$ sigil, \\ backslash.
+    const renderPrompt = ps1 => {
+      const now = new Date();
+      const pad = n => String(n).padStart(2, '0');
+      let html = '', lit = '';
+      const flush = () => {
+        if (lit) html += `<span class="term-lit">${escape(lit)}</span>`;
+        lit = '';
+      };
+      const span = (cls, text) => { flush(); html += `<span class="${cls}">${escape(text)}</span>`; };
+      for (let i = 0; i < ps1.length; i++) {
+        if (ps1[i] !== '\\' || i === ps1.length - 1) { lit += ps1[i]; continue; }
+        const c = ps1[++i];
+        switch (c) {
+          case 'u': span('term-user', getVar('USER') ?? ''); break;
+          case 'h':
+          case 'H': span('term-host', getVar('HOSTNAME') ?? ''); break;
+          case 'w': span('term-path', displayCwd()); break;
+          case 'W': span('term-path', cwd === '/' ? '~' : cwd.slice(cwd.lastIndexOf('/') + 1)); break;
+          case 't': lit += `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`; break;
+          case 'T': lit += `${pad(now.getHours() % 12 || 12)}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`; break;
+          case 'A': lit += `${pad(now.getHours())}:${pad(now.getMinutes())}`; break;
+          case 'd': lit += now.toDateString().slice(0, 10); break;
+          case '$': span('term-sigil', '$'); break;
+          case '\\': lit += '\\'; break;
+          default: lit += '\\' + c;
+        }
+      }
+      flush();
+      return html;
+    };
+    const refreshPrompt = () => {
+      if (promptEl && !search) promptEl.innerHTML = renderPrompt((getVar('PS1') ?? '').trimEnd());
+    };
+
+    /* ---- history (persisted, newest last, no duplicates) ---- */
+    const HISTORY_KEY = 'shell-history';
+    const HISTORY_MAX = 500;
+    const history = (() => {
+      try {
+        const saved = JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+        return Array.isArray(saved) ? saved.filter(h => typeof h === 'string').slice(-HISTORY_MAX) : [];
+      } catch { return []; }
+    })();
+    const pushHistory = line => {
+      const dup = history.indexOf(line);
+      if (dup >= 0) history.splice(dup, 1);
+      history.push(line);
+      if (history.length > HISTORY_MAX) history.splice(0, history.length - HISTORY_MAX);
+      try { localStorage.setItem(HISTORY_KEY, JSON.stringify(history)); } catch {}
+    };
+    const clearHistory = () => {
+      history.length = 0;
+      try { localStorage.removeItem(HISTORY_KEY); } catch {}
+    };
+
+    // Bash-style event designators: !! (last), !n (entry n), !-n (n back) and
+    // !prefix (most recent entry starting with prefix). Single quotes protect.
+    const expandHistory = line => {
+      let outLine = '', quoted = false;
+      for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === "'") quoted = !quoted;
+        const m = !quoted && ch === '!' ? /^!(!|-?\d+|[^\s!=();|&<>"']+)/.exec(line.slice(i)) : null;
+        if (!m) { outLine += ch; continue; }
+        const ev = m[1];
+        let hit;
+        if (ev === '!') hit = history[history.length - 1];
+        else if (/^\d+$/.test(ev)) hit = history[+ev - 1];
+        else if (/^-\d+$/.test(ev)) hit = history[history.length + +ev];
+        else hit = [...history].reverse().find(h => h.startsWith(ev));
+        if (hit === undefined) throw new Error(`${m[0]}: event not found`);
+        outLine += hit;
+        i += m[0].length - 1;
+      }
+      return outLine;
+    };
+
+    /* ---- recording (asciicast v2) ---- */
+    // `record` captures keys typed at the prompt ("i") and every printed line
+    // ("o"), each stamped with seconds since the start; `replay` plays them
+    // back with the same timing. On disk a cast is a JSON header line followed
+    // by one [time, type, data] array per line.
+    let recording = null; // { path, start, timestamp, events }
+    const recordEvent = (type, data) => {
+      if (recording) recording.events.push([+((performance.now() - recording.start) / 1000).toFixed(6), type, data]);
+    };
+    const KEY_CODES = {
+      Enter: '\r', Backspace: '\x7f', Tab: '\t', Escape: '\x1b',
+      ArrowUp: '\x1b[A', ArrowDown: '\x1b[B', ArrowRight: '\x1b[C', ArrowLeft: '\x1b[D',
+    };
+    const recordKey = e => {
+      if (!recording || e.metaKey) return;
+      if (e.ctrlKey) { if (/^[a-z]$/i.test(e.key)) recordEvent('i', String.fromCharCode(e.key.toUpperCase().charCodeAt(0) - 64)); }
+      else if (e.key.length === 1) recordEvent('i', e.key);
+      else if (KEY_CODES[e.key]) recordEvent('i', KEY_CODES[e.key]);
+    };
+
+    const castText = rec => [
+      JSON.stringify({ version: 2, width: 80, height: 24, timestamp: rec.timestamp, env: { SHELL: getVar('SHELL'), TERM: getVar('TERM') } }),
+      ...rec.events.map(ev => JSON.stringify(ev)),
+    ].join('\n') + '\n';
+
+    const parseCast = text => {
+      const [head, ...rest] = text.trim().split('\n');
+      let header = null;
+      try { header = JSON.parse(head); } catch {}
+      if (header?.version !== 2) throw new Error('not an asciicast v2 recording');
+      return rest.map((line, i) => {
+        let ev = null;
+        try { ev = JSON.parse(line); } catch {}
+        if (!Array.isArray(ev) || typeof ev[0] !== 'number' || typeof ev[2] !== 'string') throw new Error(`bad event on line ${i + 2}`);
+        return ev;
+      });
+    };
+
+    // Output events print line by line (\x1b[2J clears the screen, SGR
+    // colors render through ansiToHtml); input events are typed into the
+    // prompt. Stops early when the signal aborts.
+    const replayCast = async (events, { speed = 1, signal } = {}) => {
+      const saved = input.value;
+      let t = 0, pending = '';
+      input.value = '';
+      for (const [time, type, data] of events) {
+        await delay(Math.max(0, time - t) * 1000 / speed, signal);
+        if (signal?.aborted) break;
+        t = time;
+        if (type === 'o') {
+          const screens = (pending + data).split('\x1b[2J');
+          if (screens.length > 1) out.innerHTML = '';
+          const lines = screens.pop().replace(/^\x1b\[H/, '').split(/\r?\n/);
+          pending = lines.pop();
+          // A bare \r returns to the start of the line: keep what was drawn last.
+          lines.map(line => line.replace(/^[^]*\r/, '')).forEach(line => line ? printText(line) : newline());
+        } else if (type === 'i') {
+          if (data === '\r') input.value = '';
+          else if (data === '\x7f') input.value = input.value.slice(0, -1);
+          else if (!/[\x00-\x1f]/.test(data)) input.value += data;
+        }
+      }
+      if (pending) printText(pending);
+      input.value = saved;
+    };
+
+    /* ---- output helpers ---- */
+    const escape = s => String(s)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+
+    const linkify = s => {
       // Turn URLs into anchor tags after escaping
       return s.replace(/https?:\/\/[^\s<>"]+/g, m => `<a href="${m}" target="_blank" rel="noreferrer">${m}</a>`);
     };
 
-    const print = (html, kind = '') => {
+    /* ---- ansi ---- */
+    // SGR sequences (\x1b[…m) become ansi-* spans colored from the terminal
+    // palette: bold, dim, italic, underline, inverse, strike and the 16
+    // colors (256-color indexes below 16 map onto them; truecolor and
+    // higher indexes are dropped). Other CSI/OSC sequences are stripped.
+    // Each text run goes through fmt, which must escape it.
+    const ANSI_RE = /\x1b(?:\[([0-9;:?]*)([@-~])|\][^\x07\x1b]*(?:\x07|\x1b\\)|[@-Z\\-_])/g;
+    const stripAnsi = s => String(s).replace(ANSI_RE, '');
+    const ANSI_ATTRS = { 1: 'bold', 2: 'dim', 3: 'italic', 4: 'underline', 7: 'inverse', 9: 'strike' };
+    const ANSI_OFF = { 22: ['bold', 'dim'], 23: ['italic'], 24: ['underline'], 27: ['inverse'], 29: ['strike'] };
+
+    const ansiToHtml = (text, fmt = escape) => {
+      let html = '', last = 0, sgr = { attrs: new Set(), fg: null, bg: null };
+      const run = s => {
+        if (!s) return;
+        const { attrs, fg, bg } = sgr;
+        const inv = attrs.has('inverse');
+        const cls = [...attrs].filter(a => a !== 'inverse').map(a => 'ansi-' + a);
+        const [f, b] = inv ? [bg ?? 'rev', fg ?? 'rev'] : [fg, bg];
+        if (f !== null) cls.push('ansi-fg-' + f);
+        if (b !== null) cls.push('ansi-bg-' + b);
+        html += cls.length ? `<span class="${cls.join(' ')}">${fmt(s)}</span>` : fmt(s);
+      };
+      const apply = params => {
+        const codes = params.split(/[;:]/).map(n => +n || 0);
+        for (let i = 0; i < codes.length; i++) {
+          const c = codes[i];
+          if (c === 0) sgr = { attrs: new Set(), fg: null, bg: null };
+          else if (ANSI_ATTRS[c]) sgr.attrs.add(ANSI_ATTRS[c]);
+          else if (ANSI_OFF[c]) ANSI_OFF[c].forEach(a => sgr.attrs.delete(a));
+          else if (c >= 30 && c <= 37) sgr.fg = c - 30;
+          else if (c >= 90 && c <= 97) sgr.fg = c - 82;
+          else if (c >= 40 && c <= 47) sgr.bg = c - 40;
+          else if (c >= 100 && c <= 107) sgr.bg = c - 92;
+          else if (c === 39) sgr.fg = null;
+          else if (c === 49) sgr.bg = null;
+          else if (c === 38 || c === 48) {
+            const key = c === 38 ? 'fg' : 'bg';
+            if (codes[i + 1] === 5) { if (codes[i + 2] < 16) sgr[key] = codes[i + 2]; i += 2; }
+            else if (codes[i + 1] === 2) i += 4;
+          }
+        }
+      };
+      for (const m of text.matchAll(ANSI_RE)) {
+        run(text.slice(last, m.index));
+        last = m.index + m[0].length;
+        if (m[2] === 'm' && !m[1].startsWith('?')) apply(m[1]);
+      }
+      run(text.slice(last));
+      return html;
+    };
+
+    /* ---- markdown ---- */
+    // Renders the subset the FS files use: # headings, a first-line title
+    // with an optional [ date ] tag, `label:` subheadings, `key: value`
+    // leads, -, *, • and → bullets or `01.` items with indented
+    // continuations, **bold**, `code` and ``` fences. Indented lines keep
+    // their spacing. All text is escaped before any markup is added.
+    const inlineMd = text => text.split(/(`[^`]+`)/).map((seg, i) => i % 2
+      ? `<code class="md-code-span">${escape(seg.slice(1, -1))}</code>`
+      : linkify(escape(seg).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>'))
+    ).join('');
+
+    const renderMarkdown = (src) => {
+      const lines = src.replace(/\n+$/, '').split('\n');
+      const html = [];
+      let para = [], item = null;
+      const flush = () => {
+        if (para.length) html.push(`<p class="md-p">${inlineMd(para.join(' '))}</p>`);
+        if (item) html.push(`<div class="md-li"><span class="md-bullet">${escape(item.bullet)}</span><span>${inlineMd(item.text.join(' '))}</span></div>`);
+        para = []; item = null;
+      };
+      for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const indent = /^\s*/.exec(line)[0].length;
+        if (/^\s*```/.test(line)) {
+          flush();
+          const code = [];
+          while (++i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i]);
+          html.push(`<pre class="md-pre-block">${escape(code.join('\n'))}</pre>`);
+          continue;
+        }
+        if (!line.trim()) { flush(); continue; }
+        const h = /^(#{1,6})\s+(.*?)\s*#*$/.exec(line);
+        if (h) { flush(); html.push(`<div class="md-h md-h${Math.min(h[1].length, 3)}">${inlineMd(h[2])}</div>`); continue; }
+        if (i === 0 && !lines[1]?.trim()) {
+          const [, title, tag] = /^(.*?)\s*(\[[^\]]*\])?$/.exec(line);
+          html.push(`<div class="md-h md-h1">${inlineMd(title)}${tag ? ` <span class="md-tag">${escape(tag)}</span>` : ''}</div>`);
+          continue;
+        }
+        if (!para.length && /^[a-z][\w .&/-]*:$/i.test(line)) { flush(); html.push(`<div class="md-h md-h3">${inlineMd(line.slice(0, -1))}</div>`); continue; }
+        const li = /^(\s*)([-*•→]|->|\d+\.)\s+(.*)$/.exec(line);
+        if (li) {
+          flush();
+          const bullet = li[2] === '-' || li[2] === '*' ? '•' : li[2] === '->' ? '→' : li[2];
+          item = { indent: li[1].length, bullet, text: [li[3]] };
+          continue;
+        }
+        if (item && indent > item.indent) { item.text.push(line.trim()); continue; }
+        if (indent) { flush(); html.push(`<div class="md-indent">${inlineMd(line)}</div>`); continue; }
+        if (item) flush();
+        const kv = !para.length && /^([a-z][\w -]*):\s+(.*)$/i.exec(line);
+        para.push(kv ? `**${kv[1]}:** ${kv[2]}` : line.trim());
+      }
+      flush();
+      return `<div class="md">${html.join('')}</div>`;
+    };
+
+    // Lines printed with a plain-text version (rendered markdown, the ls
+    // grid) keep it here; transcripts and recordings read lines through it.
+    // Recordings keep any ANSI escapes a line was printed from.
+    const lineText = new WeakMap();
+    const plainLine = div => lineText.get(div) ?? div.textContent.replace(/^\u00a0$/, '');
+
+    const print = (html, kind = '', text, raw) => {
       const div = document.createElement('div');
       div.className = 'term-line ' + kind;
       div.innerHTML = html;
+      if (text !== undefined) lineText.set(div, text);
       out.appendChild(div);
       out.scrollTop = out.scrollHeight;
+      if (recording) recordEvent('o', (raw ?? plainLine(div)).replace(/\n/g, '\r\n') + '\r\n');
+    };
+    const clearScreen = () => {
+      out.innerHTML = '';
+      recordEvent('o', '\x1b[2J\x1b[H');
     };
-    const printText = (text, kind = '') => print(linkify(escape(text)), kind);
+    const printText = (text, kind = '') => text.includes('\x1b')
+      ? print(ansiToHtml(text, s => linkify(escape(s))), kind, stripAnsi(text), text)
+      : print(linkify(escape(text)), kind);
     const printErr = text => print(`<span class="err">${escape(text)}</span>`);
     const printInfo = text => print(`<span class="info">${escape(text)}</span>`);
     const printOk = text => print(`<span class="ok">${escape(text)}</span>`);
     const newline = () => print('&nbsp;');
+    const toText = html => {
+      const div = document.createElement('div');
+      div.innerHTML = html;
+      return div.textContent || '';
+    };
+
+    /* ---- streams ---- */
+    // Commands never touch #termOutput themselves: they write to io.stdout and
+    // io.stderr. A terminal stream renders each write as its own line; a buffer
+    // keeps the plain text so it can feed the next pipe stage or land in a file.
+    const termStream = (cls = '') => ({
+      write: (text, kind = cls) => {
+        const s = String(text);
+        if (!s) return newline();
+        if (!kind) printText(s);
+        else if (s.includes('\x1b')) print(`<span class="${kind}">${ansiToHtml(s)}</span>`, '', stripAnsi(s), s);
+        else print(`<span class="${kind}">${escape(s)}</span>`);
+      },
+      html: (markup, text) => print(markup, '', text && stripAnsi(text), text),
+      tty: true,
+    });
+
+    // Writes a message to stderr and hands back the exit status to return.
+    const fail = (stderr, msg, status = 1) => { stderr.write(msg); return status; };
+
+    const bufferStream = () => {
+      const lines = [];
+      return {
+        write: text => { lines.push(String(text)); },
+        html: (markup, text = toText(markup)) => { lines.push(text); },
+        text: () => lines.length ? lines.join('\n') + '\n' : '',
+      };
+    };
+
+    /* ---- files in and out of the browser ---- */
+    const download = (name, text, type = 'text/plain') => {
+      const url = URL.createObjectURL(new Blob([text], { type }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = name;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    };
+    // Resolves with the chosen File, or null if the picker is dismissed.
+    const pickFile = (accept, signal) => new Promise(resolve => {
+      const picker = Object.assign(document.createElement('input'), { type: 'file', accept });
+      const done = file => { signal?.removeEventListener('abort', cancel); resolve(file); };
+      const cancel = () => done(null);
+      picker.addEventListener('change', () => done(picker.files[0] || null));
+      picker.addEventListener('cancel', cancel);
+      signal?.addEventListener('abort', cancel);
+      picker.click();
+    });
+
+    // The scrollback, prompts included, as text, Markdown or a standalone
+    // HTML page that keeps the term-* classes and links the site stylesheet.
+    const transcript = format => {
+      const lines = [...out.children];
+      const text = lines.map(plainLine).join('\n') + '\n';
+      if (format === 'txt') return text;
+      const stamp = new Date().toString();
+      if (format === 'md') {
+        const fence = '`'.repeat(Math.max(3, ...(text.match(/`+/g) || []).map(f => f.length + 1)));
+        return `# terminal transcript\n\n_${stamp}_\n\n${fence}console\n${text}${fence}\n`;
+      }
+      const theme = document.documentElement.getAttribute('data-theme') || 'dark';
+      return `<!doctype html>
+<html lang="en" data-theme="${theme}">
+<head>
+<meta charset="utf-8">
+<title>terminal transcript — ${escape(stamp)}</title>
+<link rel="stylesheet" href="${escape(new URL('style.css', location.href).href)}">
+</head>
+<body>
+<div class="term"><div class="term-body"><div class="term-output">${lines.map(div => div.outerHTML).join('')}</div></div></div>
+</body>
+</html>
+`;
+    };
+
+    /* ---- pager ---- */
+    // Full-body viewer used by `less` and `more`. Resolves once it is closed
+    // with q. Keys: j/k (or arrows) scroll a line, space/b a page, g/G jump to
+    // the ends, /pattern searches and n/N move between matching lines.
+    const body = out.parentElement;
+    const page = (text, name, signal) => new Promise(resolve => {
+      const lines = text.replace(/\n$/, '').split('\n');
+      const pager = document.createElement('div');
+      pager.className = 'term-pager mono';
+      pager.tabIndex = -1;
+      pager.setAttribute('role', 'document');
+      pager.setAttribute('aria-label', `${name} (press q to quit)`);
+      const view = document.createElement('pre');
+      view.className = 'term-pager-view';
+      const status = document.createElement('div');
+      status.className = 'term-pager-status';
+      pager.append(view, status);
+      body.appendChild(pager);
+
+      // `hit` is the last matching line; n/N continue from it even when the
+      // view cannot scroll far enough to put it at the top.
+      let top = 0, hit = -1, re = null, prompt = null, note = '';
+      const rows = () => {
+        const lh = parseFloat(getComputedStyle(view).lineHeight);
+        return view.clientHeight && lh ? Math.max(1, Math.floor(view.clientHeight / lh)) : 20;
+      };
+      const maxTop = () => Math.max(0, lines.length - rows());
+      const mark = line => {
+        if (!re) return escape(line);
+        let html = '', last = 0;
+        for (const m of line.matchAll(re)) {
+          if (!m[0]) continue;
+          html += escape(line.slice(last, m.index)) + `<span class="hit">${escape(m[0])}</span>`;
+          last = m.index + m[0].length;
+        }
+        return html + escape(line.slice(last));
+      };
+      const render = () => {
+        top = Math.min(Math.max(0, top), maxTop());
+        const end = Math.min(lines.length, top + rows());
+        view.innerHTML = lines.slice(top, end).map(mark).join('\n');
+        if (prompt !== null) { status.textContent = '/' + prompt; return; }
+        const pct = Math.round(end / lines.length * 100);
+        status.textContent = note || `${name} — lines ${top + 1}-${end}/${lines.length} ${end >= lines.length ? '(END)' : pct + '%'}`;
+        note = '';
+      };
+      const find = (dir) => {
+        if (!re) return;
+        for (let i = (hit < 0 ? top : hit) + dir; i >= 0 && i < lines.length; i += dir) {
+          re.lastIndex = 0;
+          if (re.test(lines[i])) { top = hit = i; return; }
+        }
+        note = 'Pattern not found  (press q to quit)';
+      };
+      const close = () => {
+        signal?.removeEventListener('abort', close);
+        pager.remove();
+        input.focus();
+        resolve();
+      };
+      signal?.addEventListener('abort', close);
+
+      pager.addEventListener('keydown', e => {
+        // Keep page-level shortcuts (letters, `/`) from firing underneath.
+        e.stopPropagation();
+        // Ctrl+C aborts the command that opened the pager, which closes it.
+        if (e.ctrlKey && (e.key === 'c' || e.key === 'C')) { e.preventDefault(); interrupt(); return; }
+        if (e.metaKey || e.ctrlKey || e.altKey) return;
+        e.preventDefault();
+        const k = e.key;
+        if (prompt !== null) {
+          if (k === 'Enter') {
+            if (prompt) {
+              try { re = new RegExp(prompt, 'g'); } catch { re = new RegExp(escapeRe(prompt), 'g'); }
+            }
+            prompt = null;
+            hit = -1;
+            find(1);
+          } else if (k === 'Escape') prompt = null;
+          else if (k === 'Backspace') prompt = prompt ? prompt.slice(0, -1) : null;
+          else if (k.length === 1) prompt += k;
+          return render();
+        }
+        const screen = rows();
+        if (k !== 'n' && k !== 'N') hit = -1;
+        if (k === 'q' || k === 'Q' || k === 'Escape') return close();
+        if (k === 'j' || k === 'ArrowDown' || k === 'Enter') top++;
+        else if (k === 'k' || k === 'ArrowUp') top--;
+        else if (k === ' ' || k === 'f' || k === 'PageDown') top += screen;
+        else if (k === 'b' || k === 'PageUp') top -= screen;
+        else if (k === 'g' || k === 'Home') top = 0;
+        else if (k === 'G' || k === 'End') top = maxTop();
+        else if (k === '/') prompt = '';
+        else if (k === 'n') find(1);
+        else if (k === 'N') find(-1);
+        render();
+      });
+      pager.addEventListener('wheel', e => {
+        e.preventDefault();
+        top += Math.sign(e.deltaY) * 3;
+        render();
+      }, { passive: false });
+      pager.addEventListener('click', () => pager.focus());
+
+      render();
+      pager.focus();
+    });
+
+    // `cat` and `view`. Rendered output still carries the raw text, so it
+    // pipes and redirects like plain `cat`.
+    const catFiles = (name, args, { stdin, stdout, stderr }, render) => {
+      const emit = text => render ? stdout.html(renderMarkdown(text), text.replace(/\n$/, '')) : stdout.write(text);
+      if (!args.length) {
+        if (stdin !== null) return emit(stdin.replace(/\n$/, ''));
+        return fail(stderr, `${name}: missing operand. try: ${name} about.md`);
+      }
+      let status = 0;
+      for (const a of args) {
+        const node = lookup(a);
+        if (!node) { status = fail(stderr, `${name}: ${a}: no such file or directory`); continue; }
+        if (node.type === 'dir') { status = fail(stderr, `${name}: ${a}: is a directory`); continue; }
+        emit(node.content.trimEnd());
+      }
+      return status;
+    };
+
+    /* ---- text tools ---- */
+    // getopt for COMMANDS; a command's `flags` metadata is its option spec.
+    // A flag is '-a', '--all' or both ('-a, --all'), and takes a value when
+    // it names one ('-L N', '--depth=N'); a third field types that value
+    // ('int' or 'number'). Short flags combine (-la) and take values attached
+    // or separate (-L2, -L 2), long ones --name=value or --name value; `--`
+    // ends the options and a lone `-` is an operand. Returns the options keyed
+    // by long name (else the letter), false for absent switches, with
+    // operands in `_`, or null after printing a usage error.
+    const optSpecs = flags => flags.map(([spec, , type]) => {
+      const parts = spec.split(/,\s*/);
+      const names = parts.map(p => p.split(/[ =]/)[0]);
+      const long = names.find(n => n.startsWith('--'));
+      return { names, key: long ? long.slice(2) : names[0].slice(1), valued: parts.some(p => /[ =]/.test(p)), type };
+    });
+    const usageError = (name, stderr, msg) => fail(stderr, `${name}: ${msg}\nusage: ${COMMANDS[name].usage || name}`, 2);
+    const getopt = (name, args, stderr) => {
+      const specs = optSpecs(COMMANDS[name].flags || []);
+      const find = flag => specs.find(sp => sp.names.includes(flag));
+      const bad = msg => { usageError(name, stderr, msg); return null; };
+      // Boolean flags start out false, so `x !== opts.v` style tests hold.
+      const opts = { _: [], ...Object.fromEntries(specs.filter(sp => !sp.valued).map(sp => [sp.key, false])) };
+      for (let i = 0; i < args.length; i++) {
+        const a = args[i];
+        if (a === '--') { opts._.push(...args.slice(i + 1)); break; }
+        if (!/^-./.test(a)) { opts._.push(a); continue; }
+        // [flag, attached value] pairs; a valued letter takes the rest of -abc
+        const pairs = [];
+        if (a.startsWith('--')) {
+          const eq = a.indexOf('=');
+          pairs.push(eq < 0 ? [a] : [a.slice(0, eq), a.slice(eq + 1)]);
+        } else {
+          for (let j = 1; j < a.length; j++) {
+            if (find('-' + a[j])?.valued && j + 1 < a.length) { pairs.push(['-' + a[j], a.slice(j + 1)]); break; }
+            pairs.push(['-' + a[j]]);
+          }
+        }
+        for (const [flag, attached] of pairs) {
+          const spec = find(flag);
+          if (!spec) return bad(flag.startsWith('--') ? `unrecognized option '${flag}'` : `invalid option -- '${flag[1]}'`);
+          if (!spec.valued) {
+            if (attached !== undefined) return bad(`option '${flag}' doesn't allow an argument`);
+            opts[spec.key] = true;
+            continue;
+          }
+          const raw = attached ?? args[++i];
+          if (raw === undefined) return bad(`option '${flag}' requires an argument`);
+          const value = spec.type ? Number(raw) : raw;
+          const ok = spec.type === 'int' ? Number.isInteger(value) : spec.type !== 'number' || Number.isFinite(value);
+          if (!ok || (spec.type && raw === '')) return bad(`invalid argument '${raw}' for ${flag}`);
+          opts[spec.key] = value;
+        }
+      }
+      return opts;
+    };
+
+    // Each path (or stdin when there are none, or for `-`) as { label, text }.
+    const readSources = (name, paths, stdin, stderr) => {
+      const sources = [];
+      let status = 0;
+      if (!paths.length) {
+        if (stdin === null) status = fail(stderr, `${name}: no input. try: cat about.md | ${name}`);
+        else sources.push({ label: '', text: stdin });
+      }
+      for (const p of paths) {
+        if (p === '-') { sources.push({ label: '-', text: stdin ?? '' }); continue; }
+        const node = lookup(p);
+        if (!node) status = fail(stderr, `${name}: ${p}: no such file or directory`);
+        else if (node.type === 'dir') status = fail(stderr, `${name}: ${p}: is a directory`);
+        else sources.push({ label: p, text: node.content });
+      }
+      return { sources, status };
+    };
+    const linesOf = text => text ? text.replace(/\n$/, '').split('\n') : [];
+    const writeLines = (stdout, lines) => { if (lines.length) stdout.write(lines.join('\n')); };
+
+    // head / tail: -n N lines, -N for short; tail also takes -n +N.
+    const headTail = name => (args, { stdin, stdout, stderr }) => {
+      const opts = getopt(name, args.map(a => /^-\d+$/.test(a) ? `-n${a.slice(1)}` : a), stderr);
+      if (!opts) return 2;
+      const spec = opts.n ?? '10';
+      if (!/^\+?\d+$/.test(spec)) return fail(stderr, `${name}: invalid number of lines: '${spec}'`, 2);
+      const n = parseInt(spec, 10);
+      const { sources, status } = readSources(name, opts._, stdin, stderr);
+      sources.forEach(({ label, text }, i) => {
+        const lines = linesOf(text);
+        if (sources.length > 1) stdout.write(`${i ? '\n' : ''}==> ${label} <==`);
+        if (name === 'head') writeLines(stdout, lines.slice(0, n));
+        else writeLines(stdout, spec.startsWith('+') ? lines.slice(Math.max(0, n - 1)) : n ? lines.slice(-n) : []);
+      });
+      return status;
+    };
+
+    // cut lists: N, N-M, N- and -M, comma-separated and 1-based.
+    const parseRanges = spec => {
+      const ranges = spec.split(',').map(part => {
+        const m = /^(\d*)(-?)(\d*)$/.exec(part);
+        if (!m || (!m[1] && !m[3]) || m[1] === '0') return null;
+        const lo = m[1] ? +m[1] : 1;
+        return [lo, m[2] ? (m[3] ? +m[3] : Infinity) : lo];
+      });
+      return ranges.includes(null) ? null : i => ranges.some(([lo, hi]) => i >= lo && i <= hi);
+    };
+
+    // `less` and `more` share this; they differ only in the name they report.
+    const pagerCommand = name => async (args, { stdin, stdout, stderr, signal }) => {
+      let text, title;
+      if (args.length) {
+        const node = lookup(args[0]);
+        if (!node) return fail(stderr, `${name}: ${args[0]}: no such file or directory`);
+        if (node.type === 'dir') return fail(stderr, `${name}: ${args[0]}: is a directory`);
+        text = node.content; title = args[0];
+      } else if (stdin !== null) {
+        text = stdin; title = '(stdin)';
+      } else {
+        return fail(stderr, `${name}: missing filename. try: ${name} projects/portfolio-shell.md`);
+      }
+      // Like the real thing, only page when writing to the terminal.
+      if (!stdout.tty) return stdout.write(text.replace(/\n$/, ''));
+      await page(text, title, signal);
+    };
+
+    const echoCommand = raw => {
+      const safe = escape(raw);
+      print(`<span class="cmd">${renderPrompt(getVar('PS1') ?? '')}<span class="cmd-name">${safe}</span></span>`);
+    };
+
+    /* ---- path helpers ---- */
+    const displayCwd = () => cwd === '/' ? '~' : '~' + cwd;
+    const updateCwdEls = () => {
+      cwdEls.forEach(el => { el.textContent = displayCwd(); });
+      refreshPrompt();
+    };
+
+    const resolvePath = (p) => {
+      if (!p) return cwd;
+      let path = p;
+      if (path === '~') path = '/';
+      else if (path.startsWith('~/')) path = path.slice(1);
+      else if (!path.startsWith('/')) path = (cwd === '/' ? '/' : cwd + '/') + path;
+      // Normalize ./ and ../
+      const parts = path.split('/').filter(Boolean);
+      const out = [];
+      for (const seg of parts) {
+        if (seg === '.') continue;
+        if (seg === '..') out.pop();
+        else out.push(seg);
+      }
+      return '/' + out.join('/');
+    };
+
+    /* ---- overlay filesystem ---- */
+    // Copy-on-write layer over FS. Everything created from the shell lives in
+    // `overlay`, keyed by absolute path and saved to localStorage; built-in
+    // nodes are never modified, so they stay read-only.
+    const OVERLAY_KEY = 'shell-fs';
+    // A saved overlay that isn't a map of absolute paths to file/dir nodes
+    // (corrupt, or an older format) is dropped rather than half-used.
+    const validEntry = ([path, node]) => path.startsWith('/') && node && typeof node === 'object'
+      && (node.type === 'dir' || (node.type === 'file' && typeof node.content === 'string'))
+      && (node.mtime === undefined || typeof node.mtime === 'number');
+    const overlay = (() => {
+      try {
+        const saved = JSON.parse(localStorage.getItem(OVERLAY_KEY) || '{}');
+        if (saved && typeof saved === 'object' && !Array.isArray(saved) && Object.entries(saved).every(validEntry)) return saved;
+      } catch {}
+      try { localStorage.removeItem(OVERLAY_KEY); } catch {}
+      return {};
+    })();
+    const saveOverlay = () => { try { localStorage.setItem(OVERLAY_KEY, JSON.stringify(overlay)); } catch {} };
+
+    const joinPath = (dir, name) => (dir === '/' ? '/' : dir + '/') + name;
+    const parentOf = p => p.slice(0, p.lastIndexOf('/')) || '/';
+    const baseName = p => p.slice(p.lastIndexOf('/') + 1);
+
+    const builtinAt = (p) => {
+      let node = FS['/'];
+      for (const s of p.split('/').filter(Boolean)) {
+        if (!node || node.type !== 'dir') return null;
+        node = node.children[s];
+        if (!node) return null;
+      }
+      return node;
+    };
+    const isBuiltin = path => !!builtinAt(resolvePath(path));
+
+    // Directories are merged views: built-in children plus overlay entries
+    // whose parent is this path. Files come back as stored.
+    const nodeAt = (p) => {
+      const base = builtinAt(p);
+      const own = overlay[p];
+      if (base?.type === 'file') return base;
+      if (own?.type === 'file') return own;
+      if (!base && !own) return null;
+      return {
+        type: 'dir',
+        mtime: base ? base.mtime : own.mtime,
+        mode: base?.mode,
+        owner: base?.owner,
+        get children() {
+          const kids = {};
+          if (base) for (const k of Object.keys(base.children)) kids[k] = nodeAt(joinPath(p, k));
+          for (const key of Object.keys(overlay)) {
+            if (key !== p && parentOf(key) === p) kids[baseName(key)] = nodeAt(key);
+          }
+          return kids;
+        },
+      };
+    };
+
+    const lookup = path => nodeAt(resolvePath(path));
+
+    // Overlay entries only record an mtime; they belong to whoever $USER is.
+    const statNode = node => ({
+      size: node.type === 'file' ? node.size ?? byteLength(node.content) : 4096,
+      mtime: node.mtime ?? Date.now(),
+      mode: node.mode || (node.type === 'dir' ? 'drwxr-xr-x' : '-rw-r--r--'),
+      owner: node.owner || getVar('USER') || 'guest',
+      range: node.range || null,
+    });
+    // Apparent size: a file's bytes, or everything under a directory.
+    const diskUsage = node => node.type === 'file'
+      ? statNode(node).size
+      : Object.values(node.children).reduce((t, c) => t + diskUsage(c), 0);
+    const humanSize = n => {
+      let i = 0;
+      while (n >= 1024 && i < 3) { n /= 1024; i++; }
+      return i ? `${n < 10 ? n.toFixed(1) : Math.round(n)}${'KMG'[i - 1]}` : String(n);
+    };
+    // ls-style: time of day within six months, the year otherwise.
+    const shortDate = ms => {
+      const t = new Date(ms);
+      const pad = n => String(n).padStart(2, '0');
+      const recent = Math.abs(Date.now() - ms) < 182 * 864e5;
+      return `${t.toDateString().slice(4, 10)} ${recent ? `${pad(t.getHours())}:${pad(t.getMinutes())}` : ` ${t.getFullYear()}`}`;
+    };
+    const formatRange = r => r.to === r.from ? String(r.from) : `${r.from} → ${r.to}`;
+
+    // Every file under a node, depth-first, with paths relative to it.
+    const walkFiles = (node, rel = '') => {
+      if (node.type === 'file') return [{ rel, node }];
+      return Object.keys(node.children).sort().flatMap(k => walkFiles(node.children[k], rel ? `${rel}/${k}` : k));
+    };
+
+    /* ---- globbing ---- */
+    // Patterns use *, ?, [abc] / [!abc] within a path segment and ** for any
+    // number of directories. A backslash makes the next character literal.
+    // Dotfiles only match when the segment itself starts with a dot.
+    const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    const hasGlob = pat => /(^|[^\\])[*?[]/.test(pat);
+
+    const compileSegment = seg => {
+      let re = '';
+      for (let i = 0; i < seg.length; i++) {
+        const c = seg[i];
+        if (c === '\\') { re += escapeRe(seg[++i] ?? ''); continue; }
+        if (c === '*') { re += '[^/]*'; continue; }
+        if (c === '?') { re += '[^/]'; continue; }
+        if (c === '[') {
+          const end = seg.indexOf(']', i + 2);
+          if (end > 0) {
+            const body = seg.slice(i + 1, end).replace(/\\/g, '\\\\');
+            re += body[0] === '!' ? `[^${body.slice(1)}]` : `[${body}]`;
+            i = end;
+            continue;
+          }
+        }
+        re += escapeRe(c);
+      }
+      return new RegExp(`^${re}$`);
+    };
+
+    const expandGlob = (pat) => {
+      const join = (shown, name) => !shown ? name : shown.endsWith('/') ? shown + name : `${shown}/${name}`;
+      const root = pat.startsWith('/') ? '/' : pat === '~' || pat.startsWith('~/') ? '~/' : '';
+      const segs = pat.slice(root === '~/' ? 1 : 0).split('/').filter(Boolean);
+      const dirsOnly = pat.endsWith('/');
+      // Each candidate: { shown, path } — what the user sees and where it lives.
+      let cands = [{ shown: root, path: root ? '/' : cwd }];
+      const subdirs = ({ shown, path }) => {
+        const node = nodeAt(path);
+        if (node?.type !== 'dir') return [];
+        return Object.keys(node.children).sort()
+          .filter(k => !k.startsWith('.') && node.children[k].type === 'dir')
+          .flatMap(k => {
+            const c = { shown: join(shown, k), path: joinPath(path, k) };
+            return [c, ...subdirs(c)];
+          });
+      };
+      const filesIn = c => [c, ...subdirs(c)].flatMap(d => {
+        const node = nodeAt(d.path);
+        if (node?.type !== 'dir') return [];
+        return Object.keys(node.children).sort()
+          .filter(k => !k.startsWith('.') && node.children[k].type === 'file')
+          .map(k => ({ shown: join(d.shown, k), path: joinPath(d.path, k) }));
+      });
+      segs.forEach((seg, i) => {
+        const last = i === segs.length - 1;
+        if (seg === '**') {
+          cands = cands.flatMap(c => last ? subdirs(c).concat(filesIn(c)) : [c, ...subdirs(c)]);
+          return;
+        }
+        if (!hasGlob(seg)) {
+          const name = seg.replace(/\\(.)/g, '$1');
+          cands = cands.map(c => ({ shown: join(c.shown, name), path: resolvePath(joinPath(c.path, name)) }));
+          return;
+        }
+        const re = compileSegment(seg);
+        cands = cands.flatMap(({ shown, path }) => {
+          const node = nodeAt(path);
+          if (node?.type !== 'dir') return [];
+          return Object.keys(node.children).sort()
+            .filter(k => re.test(k) && (!k.startsWith('.') || seg.startsWith('.')))
+            .map(k => ({ shown: join(shown, k), path: joinPath(path, k) }));
+        });
+      });
+      return cands
+        .filter(c => { const n = nodeAt(c.path); return n && (!dirsOnly || n.type === 'dir'); })
+        .map(c => c.shown + (dirsOnly ? '/' : ''))
+        .filter((v, i, a) => v && a.indexOf(v) === i);
+    };
+
+    // Mutations throw `Error('<path>: <reason>')`; callers prefix the command name.
+    const fsError = (path, why) => new Error(`${path}: ${why}`);
+
+    const checkWritable = (path, p) => {
+      if (p === '/' || isBuiltin(p)) throw fsError(path, 'read-only file system');
+      const parent = nodeAt(parentOf(p));
+      if (!parent) throw fsError(path, 'no such file or directory');
+      if (parent.type !== 'dir') throw fsError(path, 'not a directory');
+    };
+
+    const writeFile = (path, content, append = false) => {
+      const p = resolvePath(path);
+      checkWritable(path, p);
+      const cur = overlay[p];
+      if (cur?.type === 'dir') throw fsError(path, 'is a directory');
+      overlay[p] = { type: 'file', content: (append && cur ? cur.content : '') + content, mtime: Date.now() };
+      saveOverlay();
+    };
+
+    const makeDir = (path, parents = false) => {
+      const p = resolvePath(path);
+      if (parents && !nodeAt(parentOf(p))) makeDir(parentOf(p), true);
+      const cur = nodeAt(p);
+      if (cur) {
+        if (parents && cur.type === 'dir') return;
+        throw fsError(path, 'file exists');
+      }
+      checkWritable(path, p);
+      overlay[p] = { type: 'dir', mtime: Date.now() };
+      saveOverlay();
+    };
+
+    const removePath = (path, recursive = false) => {
+      const p = resolvePath(path);
+      const node = nodeAt(p);
+      if (!node) throw fsError(path, 'no such file or directory');
+      if (p === '/' || isBuiltin(p)) throw fsError(path, 'read-only file system');
+      if (node.type === 'dir' && !recursive) throw fsError(path, 'is a directory');
+      for (const key of Object.keys(overlay)) {
+        if (key === p || key.startsWith(p + '/')) delete overlay[key];
+      }
+      saveOverlay();
+    };
+
+    // `cp a dir/` and `mv a dir/` land inside an existing directory.
+    const destFor = (src, dst) => {
+      const d = lookup(dst);
+      return d?.type === 'dir' ? joinPath(resolvePath(dst), baseName(resolvePath(src))) : resolvePath(dst);
+    };
+
+    const copyPath = (src, dst, recursive = false) => {
+      const from = resolvePath(src);
+      const node = nodeAt(from);
+      if (!node) throw fsError(src, 'no such file or directory');
+      const to = destFor(src, dst);
+      if (node.type === 'dir') {
+        if (!recursive) throw fsError(src, 'is a directory (use -r)');
+        if (to === from || to.startsWith(from + '/')) throw fsError(dst, 'cannot copy a directory into itself');
+        if (!nodeAt(to)) makeDir(to);
+        for (const k of Object.keys(node.children)) copyPath(joinPath(from, k), joinPath(to, k), true);
+        return;
+      }
+      writeFile(to, node.content);
+    };
+
+    const movePath = (src, dst) => {
+      const from = resolvePath(src);
+      if (!nodeAt(from)) throw fsError(src, 'no such file or directory');
+      if (isBuiltin(from)) throw fsError(src, 'read-only file system');
+      const to = destFor(src, dst);
+      if (to === from) return;
+      if (to.startsWith(from + '/')) throw fsError(dst, 'cannot move a directory into itself');
+      checkWritable(dst, to);
+      if (overlay[to]?.type === 'dir') throw fsError(dst, 'is a directory');
+      for (const key of Object.keys(overlay)) {
+        if (key === from || key.startsWith(from + '/')) {
+          overlay[to + key.slice(from.length)] = overlay[key];
+          delete overlay[key];
+        }
+      }
+      saveOverlay();
+    };
+
+    // `echo -e` escapes: \n \t \r \a \b \f \v \\, \e for ESC, \0nnn octal,
+    // \xHH and \uHHHH. \c drops the rest of the output.
+    const ECHO_ESCAPES = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', f: '\f', v: '\v', e: '\x1b', E: '\x1b', '\\': '\\' };
+    const echoEscapes = text => {
+      const cut = /\\c/.exec(text.replace(/\\\\/g, '\0\0'));
+      return (cut ? text.slice(0, cut.index) : text).replace(/\\(0[0-7]{0,3}|x[0-9a-f]{1,2}|u[0-9a-f]{1,4}|.)/gi, (m, e) =>
+        e[0] === '0' ? String.fromCharCode(parseInt(e, 8) & 255)
+          : /^[xu]./i.test(e) ? String.fromCharCode(parseInt(e.slice(1), 16))
+          : ECHO_ESCAPES[e] ?? m);
+    };
+
+    /* ---- commands ---- */
+    const COMMANDS = {
+      help: {
+        desc: 'list commands',
+        safe: true,
+        usage: 'help',
+        details: 'lists every command with its synopsis, then the shell syntax. `man <command>` has the full page.',
+        see: ['man', 'apropos'],
+        run: (args, { stdout }) => {
+          const rows = manEntries().map(({ name, aliases, cmd }) =>
+            [cmd.usage || name, cmd.desc + (aliases.length ? ` (also ${aliases.join(', ')})` : '')]);
+          const w = Math.min(HELP_COL, Math.max(...rows.map(r => r[0].length)));
+          // Long synopses get a line of their own so the descriptions stay aligned
+          const table = rows => rows.map(([k, v]) => k.length > w
+            ? `  ${k}\n  ${' '.repeat(w + 2)}${v}`
+            : `  ${k.padEnd(w + 2)}${v}`).join('\n');
+          stdout.write(`${table(rows)}\n\n${table(SHELL_SYNTAX)}\n\n  man <command> shows the full page.`);
+        }
+      },
+
+      ls: {
+        desc: 'list files',
+        safe: true,
+        usage: 'ls [-a1lth] [path...]',
+        flags: [
+          ['-a, --all', 'include dotfiles like .secrets'],
+          ['-1', 'one name per line'],
+          ['-l', 'long listing: mode, owner, size and modified time'],
+          ['-t', 'newest first; projects by their dates'],
+          ['-h', 'sizes like 1.2K with -l'],
+        ],
+        examples: ['ls -a', 'ls -lt projects', 'ls **/*.md', 'ls projects | wc -l'],
+        see: ['stat', 'du', 'tree'],
+        run: (args, { stdout, stderr }) => {
+          const opts = getopt('ls', args, stderr);
+          if (!opts) return 2;
+          // Like coreutils: files named on the line first, then each
+          // directory's contents under a `dir:` header when there are several.
+          const targets = opts._.length ? opts._ : [cwd];
+          const files = [], dirs = [];
+          let status = 0;
+          for (const target of targets) {
+            const node = lookup(target);
+            if (!node) status = fail(stderr, `ls: cannot access '${target}': no such file or directory`);
+            else if (node.type === 'file') files.push([target, node]);
+            else dirs.push([target, node]);
+          }
+          // Built-ins share a deploy time, so -t falls back to project dates:
+          // ongoing work first, then by end year, then by start year.
+          const ended = r => !r ? -Infinity : typeof r.to === 'number' ? r.to : Infinity;
+          const byDates = (a, b) => {
+            const ra = statNode(a).range, rb = statNode(b).range;
+            return ended(rb) - ended(ra) || (rb?.from ?? 0) - (ra?.from ?? 0);
+          };
+          const list = entries => {
+            entries.sort(opts.t
+              ? (a, b) => statNode(b[1]).mtime - statNode(a[1]).mtime || byDates(a[1], b[1]) || a[0].localeCompare(b[0])
+              // dirs first, then files
+              : (a, b) => a[1].type !== b[1].type ? (a[1].type === 'dir' ? -1 : 1) : a[0].localeCompare(b[0]));
+            const label = (name, n) => n.type === 'dir' ? name + '/' : name;
+            const names = entries.map(([name, n]) => n.type === 'dir' ? `<span class="info">${escape(name)}/</span>` : escape(name));
+            if (opts.l) {
+              const stats = entries.map(([, n]) => statNode(n));
+              const sizes = stats.map(st => opts.h ? humanSize(st.size) : String(st.size));
+              const ow = Math.max(...stats.map(st => st.owner.length));
+              const sw = Math.max(...sizes.map(sz => sz.length));
+              const rows = stats.map((st, i) => `${st.mode} ${st.owner.padEnd(ow)} ${sizes[i].padStart(sw)} ${shortDate(st.mtime)} `);
+              return stdout.html(rows.map((r, i) => escape(r) + names[i]).join('\n'), rows.map((r, i) => r + label(...entries[i])).join('\n'));
+            }
+            // Render as wrapping grid (mono spacing); one name per line when piped
+            stdout.html(names.join(opts[1] ? '\n' : '   '), entries.map(([name, n]) => label(name, n)).join('\n'));
+          };
+          if (files.length) list(files);
+          dirs.forEach(([target, node], i) => {
+            if (files.length || i) stdout.write('');
+            if (targets.length > 1) stdout.write(`${target}:`);
+            list(Object.entries(node.children).filter(([name]) => opts.all || !name.startsWith('.')));
+          });
+          return status;
+        }
+      },
+
+      grep: {
+        desc: 'search files or piped input',
+        safe: true,
+        usage: 'grep [-inrlcv] <pattern> [path...]',
+        details: 'searches files, or piped input when no path is given, for lines matching a regular expression. exits 0 if something matched, 1 if nothing did and 2 on errors.',
+        flags: [
+          ['-i', 'ignore case'],
+          ['-n', 'prefix each line with its number'],
+          ['-r', 'search directories recursively'],
+          ['-l', 'print only the names of matching files'],
+          ['-c', 'print only a count of matching lines'],
+          ['-v', 'select lines that do not match'],
+        ],
+        examples: ['grep -rn redis projects', 'cat about.md | grep -i rust'],
+        see: ['find', 'less'],
+        run: (args, { stdin, stdout, stderr }) => {
+          const opts = getopt('grep', args, stderr);
+          if (!opts) return 2;
+          const [pattern, ...paths] = opts._;
+          if (pattern === undefined) return usageError('grep', stderr, 'missing pattern');
+          let re;
+          try { re = new RegExp(pattern, opts.i ? 'gi' : 'g'); }
+          catch { return fail(stderr, `grep: invalid regex: ${pattern}`, 2); }
+
+          // Sources are { label, text }; piped input has no label.
+          const sources = [];
+          let status = 0;
+          const targets = paths.length ? paths : opts.r ? [''] : [];
+          if (!targets.length) {
+            if (stdin === null) return fail(stderr, 'grep: no input. try: grep -rn redis projects', 2);
+            sources.push({ label: '', text: stdin });
+          }
+          for (const p of targets) {
+            const node = lookup(p || cwd);
+            if (!node) { status = fail(stderr, `grep: ${p}: no such file or directory`); continue; }
+            if (node.type === 'dir' && !opts.r) { status = fail(stderr, `grep: ${p}: is a directory`); continue; }
+            for (const { rel, node: file } of walkFiles(node)) {
+              const label = p && rel ? `${p.replace(/\/$/, '')}/${rel}` : p || rel;
+              sources.push({ label, text: file.content });
+            }
+          }
+          const showLabel = opts.r || sources.length > 1;
+          let matched = false;
+
+          const mark = line => {
+            let html = '', last = 0, m;
+            re.lastIndex = 0;
+            while ((m = re.exec(line))) {
+              if (!m[0]) { re.lastIndex++; continue; }
+              html += escape(line.slice(last, m.index)) + `<span class="hit">${escape(m[0])}</span>`;
+              last = m.index + m[0].length;
+            }
+            return html + escape(line.slice(last));
+          };
+          const test = line => { re.lastIndex = 0; return re.test(line) !== opts.v; };
+
+          for (const { label, text } of sources) {
+            const lines = text.replace(/\n$/, '').split('\n');
+            const hits = lines.map((line, i) => ({ line, n: i + 1 })).filter(h => test(h.line));
+            if (hits.length) matched = true;
+            const prefix = showLabel && label ? `${label}:` : '';
+            if (opts.l) { if (hits.length) stdout.write(label || '(standard input)'); continue; }
+            if (opts.c) { stdout.write(`${prefix}${hits.length}`); continue; }
+            for (const { line, n } of hits) {
+              const head = prefix + (opts.n ? `${n}:` : '');
+              // Highlighting works on the visible text; pipes still get the
+              // line with any ANSI escapes intact.
+              const shown = stripAnsi(line);
+              const body = opts.v ? escape(shown) : mark(shown);
+              stdout.html(
+                (head ? `<span class="info">${escape(head)}</span>` : '') + (body || '&nbsp;'),
+                head + line,
+              );
+            }
+          }
+          // grep convention: 0 matched, 1 nothing matched, 2 trouble
+          return status ? 2 : matched ? 0 : 1;
+        }
+      },
+
+      find: {
+        desc: 'search for files by name or type',
+        safe: true,
+        usage: 'find [path...] [-name <glob>] [-type f|d]',
+        details: 'walks each path (default .) and prints everything under it that passes the tests.',
+        flags: [
+          ['-name <glob>', 'match the base name against a glob'],
+          ['-type f|d', 'only files (f) or directories (d)'],
+        ],
+        examples: ['find projects -name \'*.md\'', 'find -type d'],
+        see: ['ls', 'tree', 'grep'],
+        run: (args, { stdout, stderr }) => {
+          const paths = [];
+          let name = null, type = null;
+          for (let i = 0; i < args.length; i++) {
+            const a = args[i];
+            if (a === '-name' || a === '-type') {
+              const v = args[++i];
+              if (v === undefined) return fail(stderr, `find: missing argument to '${a}'`);
+              if (a === '-name') name = compileSegment(v);
+              else if (v === 'f' || v === 'd') type = v;
+              else return fail(stderr, `find: unknown argument to -type: ${v}`);
+            } else if (a.startsWith('-')) return fail(stderr, `find: unknown predicate '${a}'`);
+            else if (name || type) return fail(stderr, `find: paths must precede expression: '${a}'`);
+            else paths.push(a);
+          }
+          const found = [];
+          let status = 0;
+          const walk = (node, shown, base) => {
+            const kind = node.type === 'dir' ? 'd' : 'f';
+            if ((!type || type === kind) && (!name || name.test(base))) found.push(shown);
+            if (node.type !== 'dir') return;
+            for (const k of Object.keys(node.children).sort()) walk(node.children[k], `${shown.replace(/\/$/, '')}/${k}`, k);
+          };
+          for (const p of paths.length ? paths : ['.']) {
+            const node = lookup(p);
+            if (!node) { status = fail(stderr, `find: '${p}': no such file or directory`); continue; }
+            walk(node, p, baseName(resolvePath(p)) || p);
+          }
+          writeLines(stdout, found);
+          return status;
+        }
+      },
+
+      wc: {
+        desc: 'count lines, words and bytes',
+        safe: true,
+        usage: 'wc [-lwc] [file...]',
+        flags: [['-l', 'count lines'], ['-w', 'count words'], ['-c', 'count bytes']],
+        examples: ['wc about.md', 'ls projects | wc -l'],
+        see: ['head', 'cat'],
+        run: (args, { stdin, stdout, stderr }) => {
+          const opts = getopt('wc', args, stderr);
+          if (!opts) return 2;
+          const picked = [...'lwc'].filter(f => opts[f]);
+          const show = picked.length ? picked : [...'lwc'];
+          const { sources, status } = readSources('wc', opts._, stdin, stderr);
+          const rows = sources.map(({ label, text }) => ({
+            label,
+            l: (text.match(/\n/g) || []).length,
+            w: (text.match(/\S+/g) || []).length,
+            c: new TextEncoder().encode(text).length,
+          }));
+          if (rows.length > 1) rows.push(rows.reduce((t, r) => ({ ...t, l: t.l + r.l, w: t.w + r.w, c: t.c + r.c }), { label: 'total', l: 0, w: 0, c: 0 }));
+          const width = show.length === 1 && rows.length === 1 ? 0 : Math.max(...rows.flatMap(r => show.map(f => String(r[f]).length)));
+          writeLines(stdout, rows.map(r => [...show.map(f => String(r[f]).padStart(width)), r.label].filter(Boolean).join(' ')));
+          return status;
+        }
+      },
+
+      head: {
+        desc: 'print the first lines',
+        safe: true,
+        usage: 'head [-n N] [file...]',
+        flags: [['-n N', 'print the first N lines (default 10); -N is short for it']],
+        examples: ['head -n 3 about.md', 'history | head'],
+        see: ['tail', 'less'],
+        run: headTail('head')
+      },
+
+      tail: {
+        desc: 'print the last lines',
+        safe: true,
+        usage: 'tail [-n N|+N] [file...]',
+        flags: [['-n N', 'print the last N lines (default 10); +N starts at line N']],
+        examples: ['tail -n 2 about.md', 'tail -n +3 about.md'],
+        see: ['head'],
+        run: headTail('tail')
+      },
+
+      sort: {
+        desc: 'sort lines',
+        safe: true,
+        usage: 'sort [-rn] [file...]',
+        flags: [['-r', 'reverse the order'], ['-n', 'compare leading numbers']],
+        examples: ['ls projects | sort -r', 'env | sort'],
+        see: ['uniq', 'cut'],
+        run: (args, { stdin, stdout, stderr }) => {
+          const opts = getopt('sort', args, stderr);
+          if (!opts) return 2;
+          const { sources, status } = readSources('sort', opts._, stdin, stderr);
+          const num = s => parseFloat(s) || 0;
+          const cmp = opts.n
+            ? (a, b) => num(a) - num(b) || (a < b ? -1 : a > b ? 1 : 0)
+            : (a, b) => a < b ? -1 : a > b ? 1 : 0;
+          const lines = sources.flatMap(src => linesOf(src.text)).sort(cmp);
+          if (opts.r) lines.reverse();
+          writeLines(stdout, lines);
+          return status;
+        }
+      },
+
+      uniq: {
+        desc: 'collapse repeated lines',
+        safe: true,
+        usage: 'uniq [-c] [file]',
+        details: 'collapses adjacent repeated lines, so sort first to count across the whole input.',
+        flags: [['-c', 'prefix each line with its count']],
+        examples: ['cut -c 1 about.md | sort | uniq -c'],
+        see: ['sort'],
+        run: (args, { stdin, stdout, stderr }) => {
+          const opts = getopt('uniq', args, stderr);
+          if (!opts) return 2;
+          const { sources, status } = readSources('uniq', opts._.slice(0, 1), stdin, stderr);
+          const runs = [];
+          for (const line of sources.flatMap(src => linesOf(src.text))) {
+            const prev = runs[runs.length - 1];
+            if (prev && prev.line === line) prev.n++;
+            else runs.push({ line, n: 1 });
+          }
+          writeLines(stdout, runs.map(r => opts.c ? `${String(r.n).padStart(7)} ${r.line}` : r.line));
+          return status;
+        }
+      },
+
+      cut: {
+        desc: 'select fields or characters from lines',
+        safe: true,
+        usage: 'cut -f <list> [-d <char>] [file...]',
+        details: 'keeps the listed fields (or, with -c, characters) of each line. a list is comma-separated numbers and ranges like 2-4 or 3-.',
+        flags: [
+          ['-f <list>', 'fields to keep'],
+          ['-d <char>', 'field delimiter (default tab)'],
+          ['-c <list>', 'characters to keep'],
+        ],
+        examples: ['env | cut -d = -f 1', 'ls | cut -c 1-4'],
+        see: ['sort', 'grep'],
+        run: (args, { stdin, stdout, stderr }) => {
+          const opts = getopt('cut', args, stderr);
+          if (!opts) return 2;
+          const { d = '\t', f, c } = opts;
+          if (!f === !c) return fail(stderr, "cut: specify a list with exactly one of -f or -c. try: cut -d ':' -f 1", 2);
+          if (d.length !== 1) return fail(stderr, 'cut: the delimiter must be a single character', 2);
+          const pick = parseRanges(f ?? c);
+          if (!pick) return fail(stderr, `cut: invalid list: '${f ?? c}'`, 2);
+          const { sources, status } = readSources('cut', opts._, stdin, stderr);
+          const lines = sources.flatMap(src => linesOf(src.text)).map(line => {
+            if (c) return [...line].filter((ch, i) => pick(i + 1)).join('');
+            // Lines without the delimiter pass through whole, as in GNU cut.
+            if (!line.includes(d)) return line;
+            return line.split(d).filter((x, i) => pick(i + 1)).join(d);
+          });
+          writeLines(stdout, lines);
+          return status;
+        }
+      },
+
+      cd: {
+        desc: 'change directory',
+        safe: true,
+        usage: 'cd [path]',
+        details: 'changes the working directory. with no path, goes home (~).',
+        examples: ['cd projects', 'cd ..', 'cd projects && ls | wc -l'],
+        see: ['pwd', 'ls'],
+        complete: { args: 'dirs' },
+        run: (args, { stderr }) => {
+          const target = args[0] || '/';
+          if (target === '-') { cwd = '/'; updateCwdEls(); return; }
+          const path = resolvePath(target);
+          const node = lookup(path);
+          if (!node) return fail(stderr, `cd: ${target}: no such file or directory`);
+          if (node.type !== 'dir') return fail(stderr, `cd: ${target}: not a directory`);
+          cwd = path;
+          updateCwdEls();
+        }
+      },
+
+      cat: {
+        desc: 'print files',
+        safe: true,
+        usage: 'cat [--render] [file...]',
+        flags: [['--render', 'render markdown, like view']],
+        examples: ['cat about.md', 'cat about.md | grep -i rust', 'cat nope || echo missing'],
+        see: ['view', 'less'],
+        run: (args, io) => {
+          const opts = getopt('cat', args, io.stderr);
+          if (!opts) return 2;
+          return catFiles('cat', opts._, io, opts.render);
+        }
+      },
+
+      view: {
+        desc: 'render a markdown file',
+        safe: true,
+        usage: 'view [file...]',
+        details: 'renders markdown (headings, lists, bold, code and links) as styled output. piped or redirected, it passes the raw text through.',
+        examples: ['view about.md'],
+        see: ['cat', 'less'],
+        run: (args, io) => catFiles('view', args, io, true)
+      },
+
+      less: {
+        desc: 'page through a file',
+        safe: true,
+        usage: 'less [file]',
+        details: 'shows a file, or piped input, one screen at a time. j/k or the arrows scroll a line, space/b a page, g/G jump to the top/bottom, /pattern searches and n/N repeat it, q quits.',
+        examples: ['less about.md', 'tree | less'],
+        see: ['more', 'cat', 'view'],
+        run: pagerCommand('less')
+      },
+
+      more: {
+        desc: 'page through a file',
+        safe: true,
+        usage: 'more [file]',
+        details: 'the same pager as less.',
+        examples: ['more about.md'],
+        see: ['less'],
+        run: pagerCommand('more')
+      },
+
+      pwd: {
+        desc: 'print the working directory',
+        safe: true,
+        usage: 'pwd',
+        see: ['cd'],
+        run: (args, { stdout }) => stdout.write(displayCwd())
+      },
+
+      tree: {
+        desc: 'print the full filesystem tree',
+        safe: true,
+        usage: 'tree [-L N]',
+        flags: [['-L N', 'descend at most N levels', 'int']],
+        examples: ['tree -L 1', 'tree | less'],
+        see: ['ls', 'find'],
+        run: (args, { stdout, stderr }) => {
+          const opts = getopt('tree', args, stderr);
+          if (!opts) return 2;
+          const depth = opts.L ?? Infinity;
+          if (depth < 1) return usageError('tree', stderr, 'level must be greater than 0');
+          const lines = ['~/'];
+          const walk = (node, prefix, level) => {
+            const keys = Object.keys(node.children);
+            keys.forEach((k, i) => {
+              const last = i === keys.length - 1;
+              const child = node.children[k];
+              lines.push(prefix + (last ? '└── ' : '├── ') + (child.type === 'dir' ? k + '/' : k));
+              if (child.type === 'dir' && level < depth) walk(child, prefix + (last ? '    ' : '│   '), level + 1);
+            });
+          };
+          walk(lookup('/'), '', 1);
+          stdout.write(lines.join('\n'));
+        }
+      },
+
+      stat: {
+        desc: 'show file metadata',
+        safe: true,
+        usage: 'stat <path...>',
+        details: 'prints the type, size, permissions, owner and modified time of each path, plus the years a project ran when its file has them.',
+        examples: ['stat projects/realfiction.md', 'stat .secrets'],
+        see: ['ls', 'du'],
+        run: (args, { stdout, stderr }) => {
+          if (!args.length) return usageError('stat', stderr, 'missing operand');
+          let status = 0;
+          args.forEach((a, i) => {
+            const node = lookup(a);
+            if (!node) { status = fail(stderr, `stat: cannot stat '${a}': no such file or directory`); return; }
+            const st = statNode(node);
+            const pad = n => String(n).padStart(2, '0');
+            const t = new Date(st.mtime);
+            const rows = [
+              ['File', a],
+              ['Type', node.type === 'dir' ? 'directory' : 'regular file'],
+              ['Size', `${st.size} bytes${st.size >= 1024 ? ` (${humanSize(st.size)})` : ''}`],
+              ['Access', st.mode],
+              ['Owner', st.owner],
+              ['Modify', `${t.getFullYear()}-${pad(t.getMonth() + 1)}-${pad(t.getDate())} ${pad(t.getHours())}:${pad(t.getMinutes())}:${pad(t.getSeconds())}`],
+              ...(st.range ? [['Project', formatRange(st.range)]] : []),
+            ];
+            stdout.write((i ? '\n' : '') + rows.map(([k, v]) => `${k.padStart(7)}: ${v}`).join('\n'));
+          });
+          return status;
+        }
+      },
+
+      du: {
+        desc: 'show disk usage',
+        safe: true,
+        usage: 'du [-hs] [path...]',
+        details: 'prints the size of each directory under each path (default .), deepest first, then the path itself. sizes are bytes of file content.',
+        flags: [['-h', 'sizes like 1.2K'], ['-s', 'only a total for each path']],
+        examples: ['du -h', 'du -sh projects', 'du | sort -n'],
+        see: ['stat', 'ls'],
+        complete: { args: 'dirs' },
+        run: (args, { stdout, stderr }) => {
+          const opts = getopt('du', args, stderr);
+          if (!opts) return 2;
+          const fmt = n => opts.h ? humanSize(n) : String(n);
+          const lines = [];
+          const walk = (node, shown) => {
+            if (node.type === 'dir' && !opts.s) {
+              for (const [k, child] of Object.entries(node.children)) {
+                if (child.type === 'dir') walk(child, shown === '/' ? `/${k}` : `${shown}/${k}`);
+              }
+            }
+            lines.push(`${fmt(diskUsage(node))}\t${shown}`);
+          };
+          let status = 0;
+          for (const a of opts._.length ? opts._ : ['.']) {
+            const node = lookup(a);
+            if (!node) { status = fail(stderr, `du: cannot access '${a}': no such file or directory`); continue; }
+            walk(node, a.replace(/(.)\/+$/, '$1'));
+          }
+          writeLines(stdout, lines);
+          return status;
+        }
+      },
+
+      touch: {
+        desc: 'create empty files',
+        usage: 'touch <file...>',
+        details: 'creates empty files. files made in the shell live in this browser only.',
+        examples: ['touch notes.txt'],
+        see: ['write', 'mkdir', 'rm'],
+        run: (args, { stderr }) => {
+          if (!args.length) return fail(stderr, 'touch: missing file operand. try: touch notes.txt');
+          let status = 0;
+          for (const a of args) {
+            try { writeFile(a, '', true); }
+            catch (e) { status = fail(stderr, `touch: ${e.message}`); }
+          }
+          return status;
+        }
+      },
+
+      mkdir: {
+        desc: 'make directories',
+        usage: 'mkdir [-p] <dir...>',
+        flags: [['-p', 'create parents as needed; no error if it exists']],
+        examples: ['mkdir -p notes/2026'],
+        see: ['touch', 'rm'],
+        complete: { args: 'dirs' },
+        run: (args, { stderr }) => {
+          const opts = getopt('mkdir', args, stderr);
+          if (!opts) return 2;
+          const { p: parents, _: dirs } = opts;
+          if (!dirs.length) return fail(stderr, 'mkdir: missing operand. try: mkdir notes');
+          let status = 0;
+          for (const a of dirs) {
+            try { makeDir(a, parents); }
+            catch (e) { status = fail(stderr, `mkdir: ${e.message}`); }
+          }
+          return status;
+        }
+      },
+
+      rm: {
+        desc: 'remove files',
+        usage: 'rm [-rf] <path...>',
+        details: 'removes files and directories you created. built-in files are read-only.',
+        flags: [['-r, -R', 'remove directories and their contents'], ['-f', 'ignore missing paths']],
+        examples: ['rm notes.txt', 'rm -r notes'],
+        see: ['reset'],
+        run: (args, { stderr }) => {
+          const opts = getopt('rm', args, stderr);
+          if (!opts) return 2;
+          const { r: recursive, f: force, _: paths } = opts;
+          if (!paths.length) return fail(stderr, 'rm: missing operand. try: rm notes.txt');
+          let status = 0;
+          for (const a of paths) {
+            try { removePath(a, recursive); }
+            catch (e) {
+              if (recursive && force && isBuiltin(a)) status = fail(stderr, 'i admire your courage. permission denied.');
+              else if (!force || lookup(a)) status = fail(stderr, `rm: ${e.message}`);
+            }
+          }
+          if (!lookup(cwd)) { cwd = '/'; updateCwdEls(); }
+          return status;
+        }
+      },
+
+      mv: {
+        desc: 'move or rename',
+        usage: 'mv <src> <dst>',
+        examples: ['mv notes.txt ideas.txt'],
+        see: ['cp', 'rm'],
+        run: (args, { stderr }) => {
+          if (args.length < 2) return fail(stderr, 'mv: missing operand. try: mv notes.txt todo.txt');
+          const dst = args[args.length - 1];
+          let status = 0;
+          for (const src of args.slice(0, -1)) {
+            try { movePath(src, dst); }
+            catch (e) { status = fail(stderr, `mv: ${e.message}`); }
+          }
+          if (!lookup(cwd)) { cwd = '/'; updateCwdEls(); }
+          return status;
+        }
+      },
+
+      cp: {
+        desc: 'copy files',
+        usage: 'cp [-r] <src> <dst>',
+        flags: [['-r, -R', 'copy directories recursively']],
+        examples: ['cp about.md me.md', 'cp -r projects mine'],
+        see: ['mv'],
+        run: (args, { stderr }) => {
+          const opts = getopt('cp', args, stderr);
+          if (!opts) return 2;
+          const { r: recursive, _: paths } = opts;
+          if (paths.length < 2) return fail(stderr, 'cp: missing operand. try: cp about.md notes.md');
+          const dst = paths[paths.length - 1];
+          let status = 0;
+          for (const src of paths.slice(0, -1)) {
+            try { copyPath(src, dst, recursive); }
+            catch (e) { status = fail(stderr, `cp: ${e.message}`); }
+          }
+          return status;
+        }
+      },
+
+      write: {
+        desc: 'write text or stdin to a file',
+        usage: 'write <file> [text...]',
+        details: 'writes the text, or piped input, to a file, replacing what was there.',
+        examples: ['write notes.txt \'hello\'', 'ls | write listing.txt'],
+        see: ['touch', 'cat'],
+        run: (args, { stdin, stderr }) => {
+          const [file, ...text] = args;
+          if (!file) return fail(stderr, "write: missing file. try: write notes.txt 'hello'");
+          const content = text.length ? text.join(' ') + '\n' : stdin ?? '';
+          try { writeFile(file, content); }
+          catch (e) { return fail(stderr, `write: ${e.message}`); }
+        }
+      },
 
-    const echoCommand = raw => {
-      const safe = escape(raw);
-      const promptHTML = `<span class="cmd"><span class="term-user">nicholas</span><span class="term-at">@</span><span class="term-host">portfolio</span><span class="term-colon">:</span><span class="term-path">${escape(displayCwd())}</span><span class="term-sigil"> $</span> <span class="cmd-name">${safe}</span></span>`;
-      print(promptHTML);
-    };
+      reset: {
+        desc: 'wipe files created in the shell',
+        usage: 'reset',
+        details: 'deletes every file and directory created in the shell.',
+        see: ['rm'],
+        run: (args, { stdout }) => {
+          const n = Object.keys(overlay).length;
+          for (const key of Object.keys(overlay)) delete overlay[key];
+          try { localStorage.removeItem(OVERLAY_KEY); } catch {}
+          if (!lookup(cwd)) { cwd = '/'; updateCwdEls(); }
+          stdout.write(`removed ${n} path${n === 1 ? '' : 's'}. filesystem back to factory.`, 'ok');
+        }
+      },
 
-    /* ---- path helpers ---- */
-    const displayCwd = () => cwd === '/' ? '~' : '~' + cwd;
-    const updateCwdEls = () => cwdEls.forEach(el => { el.textContent = displayCwd(); });
+      export: {
+        desc: 'set variables',
+        usage: 'export [NAME[=value]...]',
+        details: 'sets variables that persist across visits; with no arguments, lists them. PS1 sets the prompt.',
+        examples: ['export PS1=\'\\w \\$ \'', 'echo $PS1'],
+        see: ['env', 'unset'],
+        complete: { args: () => allVars().map(([k]) => k) },
+        run: (args, { stdout, stderr }) => {
+          if (!args.length) {
+            return stdout.write(allVars().map(([k, v]) => `declare -x ${k}="${v}"`).join('\n'));
+          }
+          let status = 0;
+          for (const a of args) {
+            const eq = a.indexOf('=');
+            if (eq < 0) {
+              if (!VAR_NAME.test(a)) status = fail(stderr, `export: '${a}': not a valid identifier`);
+              else if (a in shellVars) setVar(a, shellVars[a]);
+              continue;
+            }
+            try { setVar(a.slice(0, eq), a.slice(eq + 1)); }
+            catch (e) { status = fail(stderr, `export: ${e.message}`); }
+          }
+          return status;
+        }
+      },
 
-    const resolvePath = (p) => {
-      if (!p) return cwd;
-      let path = p;
-      if (path === '~') path = '/';
-      else if (path.startsWith('~/')) path = path.slice(1);
-      else if (!path.startsWith('/')) path = (cwd === '/' ? '/' : cwd + '/') + path;
-      // Normalize ./ and ../
-      const parts = path.split('/').filter(Boolean);
-      const out = [];
-      for (const seg of parts) {
-        if (seg === '.') continue;
-        if (seg === '..') out.pop();
-        else out.push(seg);
-      }
-      return '/' + out.join('/');
-    };
+      env: {
+        desc: 'print all variables',
+        safe: true,
+        usage: 'env',
+        examples: ['env | sort'],
+        see: ['export', 'unset'],
+        run: (args, { stdout }) => stdout.write(allVars().map(([k, v]) => `${k}=${v}`).join('\n'))
+      },
 
-    const lookup = (path) => {
-      const p = resolvePath(path);
-      if (p === '/') return FS['/'];
-      const segs = p.split('/').filter(Boolean);
-      let node = FS['/'];
-      for (const s of segs) {
-        if (!node || node.type !== 'dir') return null;
-        node = node.children[s];
-        if (!node) return null;
-      }
-      return node;
-    };
+      unset: {
+        desc: 'remove variables',
+        usage: 'unset <NAME...>',
+        examples: ['unset PS1'],
+        see: ['export', 'env'],
+        complete: { args: () => allVars().map(([k]) => k) },
+        run: (args, { stderr }) => {
+          if (!args.length) return fail(stderr, 'unset: missing name. try: unset PS1');
+          let status = 0;
+          for (const a of args) {
+            try { unsetVar(a); }
+            catch (e) { status = fail(stderr, `unset: ${e.message}`); }
+          }
+          return status;
+        }
+      },
 
-    /* ---- commands ---- */
-    const COMMANDS = {
-      help: {
-        desc: 'list commands',
-        run: () => {
-          const rows = [
-            ['help',                'list commands'],
-            ['ls [path]',           'list files in current or given dir'],
-            ['cd <path>',           'change directory (~, .., projects, /)'],
-            ['cat <file>',          'print a file'],
-            ['pwd',                 'print working directory'],
-            ['tree',                'print full filesystem tree'],
-            ['echo <text>',         'echo back text'],
-            ['clear',               'clear the screen'],
-            ['history',             'show command history'],
-            ['date',                'current date and time'],
-            ['uptime',              'shipping uptime since 2021'],
-            ['neofetch',            'system info card'],
-            ['whoami',              'short bio'],
-            ['fortune',             'a quote, from someone'],
-            ['theme [light|dark]',  'toggle or set theme'],
-            ['goto <id>',           'scroll the page to a section'],
-            ['email',               'open mail client to nicholaslasagna@gmail.com'],
-            ['resume',              'open the resume pdf'],
-            ['github [alt]',        'open the primary or alt github profile'],
-            ['linkedin',            'open linkedin'],
-            ['exit',                'collapse the terminal'],
-            ['tour',                'guided walkthrough of this site'],
-          ];
-          const w = Math.max(...rows.map(r => r[0].length));
-          const lines = rows.map(([k, v]) => `  ${k.padEnd(w + 2)}${v}`).join('\n');
-          printText(lines);
+      alias: {
+        desc: 'define or list aliases',
+        usage: 'alias [name[=\'command\']...]',
+        details: 'defines shortcuts that expand when they start a command; with no arguments, lists them. aliases persist, and ~/.shellrc is a good home for them.',
+        examples: ['alias rf=\'cat projects/realfiction.md\'', 'alias'],
+        see: ['unalias', 'source'],
+        complete: { args: () => Object.keys(aliases) },
+        run: (args, { stdout, stderr }) => {
+          const show = name => `alias ${name}=${quoteSh(aliases[name])}`;
+          if (!args.length) {
+            const names = Object.keys(aliases).sort();
+            return names.length ? stdout.write(names.map(show).join('\n')) : undefined;
+          }
+          let status = 0;
+          for (const a of args) {
+            const eq = a.indexOf('=');
+            if (eq < 0) {
+              if (Object.prototype.hasOwnProperty.call(aliases, a)) stdout.write(show(a));
+              else status = fail(stderr, `alias: ${a}: not found`);
+              continue;
+            }
+            const name = a.slice(0, eq);
+            if (!ALIAS_NAME.test(name)) { status = fail(stderr, `alias: '${name}': invalid alias name`); continue; }
+            aliases[name] = a.slice(eq + 1);
+          }
+          saveAliases();
+          return status;
         }
       },
 
-      ls: {
-        desc: 'list files',
-        run: (args) => {
-          const target = args[0] || cwd;
-          const node = lookup(target);
-          if (!node) return printErr(`ls: cannot access '${target}': no such file or directory`);
-          if (node.type === 'file') return printText(target);
-          const entries = Object.entries(node.children).sort((a, b) => {
-            // dirs first, then files
-            if (a[1].type !== b[1].type) return a[1].type === 'dir' ? -1 : 1;
-            return a[0].localeCompare(b[0]);
-          });
-          const cols = entries.map(([name, n]) => {
-            const display = n.type === 'dir' ? `<span class="info">${escape(name)}/</span>` : escape(name);
-            return display;
-          });
-          // Render as wrapping grid (mono spacing)
-          print(cols.join('   '));
+      unalias: {
+        desc: 'remove aliases',
+        usage: 'unalias [-a] <name...>',
+        flags: [['-a', 'remove every alias']],
+        examples: ['unalias rf'],
+        see: ['alias'],
+        complete: { args: () => Object.keys(aliases) },
+        run: (args, { stderr }) => {
+          const opts = getopt('unalias', args, stderr);
+          if (!opts) return 2;
+          if (!opts.a && !opts._.length) return usageError('unalias', stderr, 'missing name');
+          if (opts.a) Object.keys(aliases).forEach(k => delete aliases[k]);
+          let status = 0;
+          for (const a of opts._) {
+            if (Object.prototype.hasOwnProperty.call(aliases, a)) delete aliases[a];
+            else status = fail(stderr, `unalias: ${a}: not found`);
+          }
+          saveAliases();
+          return status;
         }
       },
 
-      cd: {
-        desc: 'change directory',
-        run: (args) => {
-          const target = args[0] || '/';
-          if (target === '-') { cwd = '/'; updateCwdEls(); return; }
-          const path = resolvePath(target);
-          const node = lookup(path);
-          if (!node) return printErr(`cd: ${target}: no such file or directory`);
-          if (node.type !== 'dir') return printErr(`cd: ${target}: not a directory`);
-          cwd = path;
-          updateCwdEls();
+      jobs: {
+        desc: 'list background jobs',
+        safe: true,
+        usage: 'jobs',
+        details: 'lists commands started in the background with &.',
+        examples: ['sleep 10 & jobs'],
+        see: ['kill'],
+        run: (args, { stdout }) => {
+          const marks = { [jobs.length - 1]: '+', [jobs.length - 2]: '-' };
+          writeLines(stdout, jobs.map((j, i) => `[${j.id}]${marks[i] || ' '}  Running     ${j.text}`));
         }
       },
 
-      cat: {
-        desc: 'print file',
-        run: (args) => {
-          if (!args.length) return printErr('cat: missing operand. try: cat about.md');
+      kill: {
+        desc: 'stop a background job',
+        usage: 'kill %n',
+        examples: ['kill %1'],
+        see: ['jobs'],
+        complete: { args: () => jobs.map(j => `%${j.id}`) },
+        run: (args, { stderr }) => {
+          if (!args.length) return fail(stderr, 'kill: usage: kill %job. try: jobs', 2);
+          let status = 0;
           for (const a of args) {
-            const node = lookup(a);
-            if (!node) { printErr(`cat: ${a}: no such file or directory`); continue; }
-            if (node.type === 'dir') { printErr(`cat: ${a}: is a directory`); continue; }
-            printText(node.content.trimEnd());
+            const job = jobs.find(j => `%${j.id}` === a || String(j.id) === a);
+            if (job) job.ctl.abort();
+            else status = fail(stderr, `kill: ${a}: no such job`);
           }
+          return status;
         }
       },
 
-      pwd: { desc: 'print working dir', run: () => printText(displayCwd()) },
+      ping: {
+        desc: 'time http round trips to a host',
+        usage: 'ping [-c N] [host]',
+        details: 'browsers cannot send icmp, so this times http requests to the host (this site by default) once a second until ctrl+c.',
+        flags: [['-c N', 'stop after N requests', 'int']],
+        examples: ['ping -c 3 github.com', 'ping &'],
+        see: ['jobs'],
+        run: async (args, { stdout, stderr, signal }) => {
+          const opts = getopt('ping', args, stderr);
+          if (!opts) return 2;
+          const count = opts.c ?? Infinity;
+          if (!(count > 0)) return fail(stderr, `ping: invalid count: '${opts.c}'`, 2);
+          const host = opts._[0] || location.host || 'localhost';
+          const url = /^https?:\/\//.test(host) ? host : `https://${host}/`;
+          // A browser can't send ICMP, so this times no-cors HEAD requests.
+          stdout.write(`PING ${host} (${url}): http HEAD`);
+          const times = [];
+          let sent = 0;
+          while (sent < count && !signal?.aborted) {
+            sent++;
+            const t0 = performance.now();
+            try {
+              await fetch(url, { method: 'HEAD', mode: 'no-cors', cache: 'no-store', signal });
+              const ms = performance.now() - t0;
+              times.push(ms);
+              stdout.write(`reply from ${host}: seq=${sent} time=${ms.toFixed(1)} ms`);
+            } catch {
+              if (signal?.aborted) { sent--; break; }
+              stdout.write(`request to ${host} failed: seq=${sent}`, 'err');
+            }
+            if (sent < count) await delay(1000, signal);
+          }
+          // Like ping, a Ctrl+C still gets the summary.
+          const loss = sent ? Math.round((1 - times.length / sent) * 100) : 0;
+          stdout.write(`--- ${host} ping statistics ---`);
+          stdout.write(`${sent} requests sent, ${times.length} received, ${loss}% loss`);
+          if (times.length) {
+            const avg = times.reduce((a, b) => a + b, 0) / times.length;
+            stdout.write(`round-trip min/avg/max = ${[Math.min(...times), avg, Math.max(...times)].map(t => t.toFixed(1)).join('/')} ms`);
+          }
+          return times.length ? 0 : 1;
+        }
+      },
 
-      tree: {
-        desc: 'print full tree',
-        run: () => {
-          const lines = ['~/'];
-          const walk = (node, prefix) => {
-            const keys = Object.keys(node.children);
-            keys.forEach((k, i) => {
-              const last = i === keys.length - 1;
-              const child = node.children[k];
-              lines.push(prefix + (last ? '└── ' : '├── ') + (child.type === 'dir' ? k + '/' : k));
-              if (child.type === 'dir') walk(child, prefix + (last ? '    ' : '│   '));
-            });
-          };
-          walk(FS['/'], '');
-          printText(lines.join('\n'));
+      source: {
+        desc: 'run a script in the current shell',
+        usage: 'source <file>',
+        details: 'runs a script in the current shell, so cd and variables stick. ~/.shellrc is sourced on boot.',
+        examples: ['source ~/.shellrc'],
+        see: ['sh'],
+        run: (args, io) => {
+          if (!args[0]) return fail(io.stderr, 'source: missing file. try: source demos/intro.sh', 2);
+          return runScript(args[0], io);
+        }
+      },
+
+      sh: {
+        desc: 'run a script in a subshell',
+        usage: 'sh <file>',
+        details: 'runs a script in a subshell; its cd and variable changes, exports included, are undone after.',
+        examples: ['sh /demos/intro.sh'],
+        see: ['source'],
+        run: (args, io) => {
+          if (!args[0]) return fail(io.stderr, 'sh: missing file. try: sh demos/intro.sh', 2);
+          return runScript(args[0], io, { subshell: true });
         }
       },
 
-      echo: { desc: 'echo', run: (args) => printText(args.join(' ')) },
+      sleep: {
+        desc: 'pause for N seconds',
+        safe: true,
+        usage: 'sleep <seconds>',
+        examples: ['sleep 1.5; echo done'],
+        see: ['jobs'],
+        // io.pace scales the wait: the tour shortens it under reduced motion.
+        run: async (args, { stderr, signal, pace = 1 }) => {
+          const secs = Number(args[0]);
+          if (!args[0] || !Number.isFinite(secs) || secs < 0) return fail(stderr, `sleep: invalid time interval '${args[0] ?? ''}'`);
+          await delay(secs * 1000 * pace, signal);
+        }
+      },
+
+      true:  { desc: 'do nothing, successfully', usage: 'true', examples: ['true && echo yes'], see: ['false'], safe: true, run: () => 0 },
+      false: { desc: 'do nothing, unsuccessfully', usage: 'false', see: ['true'], safe: true, run: () => 1 },
+
+      echo: {
+        desc: 'print text',
+        safe: true,
+        usage: 'echo [-eE] [text...]',
+        details: 'with -e, backslash escapes are interpreted, so \\e[1;31m … \\e[0m prints in color. ANSI color, bold, underline and reset sequences render anywhere in terminal output.',
+        flags: [['-e', 'interpret backslash escapes'], ['-E', 'print backslashes literally (default)']],
+        examples: ['echo $USER', 'echo hi > greeting.txt', "echo -e '\\e[1;32mok\\e[0m done'"],
+        see: ['write'],
+        run: (args, { stdout }) => {
+          // Like bash, only leading words made of option letters are options.
+          let esc = false, i = 0;
+          for (; /^-[eE]+$/.test(args[i] ?? ''); i++) esc = args[i].endsWith('e');
+          const text = args.slice(i).join(' ');
+          stdout.write(esc ? echoEscapes(text) : text);
+        }
+      },
 
-      clear: { desc: 'clear', run: () => { out.innerHTML = ''; } },
+      clear: {
+        desc: 'clear the screen',
+        safe: true,
+        usage: 'clear',
+        details: 'ctrl+l does the same.',
+        see: ['history'],
+        run: () => clearScreen()
+      },
 
       history: {
-        desc: 'show history',
-        run: () => {
-          if (!history.length) return printText('  (no commands yet)');
+        desc: 'show command history',
+        usage: 'history [-c]',
+        details: 'lists past commands, oldest first. !! reruns the last one, !n entry n and !prefix the latest match; ctrl+r searches.',
+        flags: [['-c', 'clear the history']],
+        examples: ['history | grep cd', 'history -c'],
+        see: ['alias'],
+        run: (args, { stdout, stderr }) => {
+          const opts = getopt('history', args, stderr);
+          if (!opts) return 2;
+          if (opts.c) return clearHistory();
+          if (!history.length) return stdout.write('  (no commands yet)');
           const lines = history.map((h, i) => `  ${(i + 1).toString().padStart(3)}  ${h}`).join('\n');
-          printText(lines);
+          stdout.write(lines);
         }
       },
 
       date: {
         desc: 'date and time',
-        run: () => printText(new Date().toString())
+        safe: true,
+        usage: 'date',
+        see: ['uptime'],
+        run: (args, { stdout }) => stdout.write(new Date().toString())
       },
 
       uptime: {
-        desc: 'uptime',
-        run: () => {
+        desc: 'shipping uptime since 2021',
+        safe: true,
+        usage: 'uptime',
+        see: ['date'],
+        run: (args, { stdout }) => {
           const start = new Date('2021-06-01');
           const now = new Date();
           const yrs = ((now - start) / (1000 * 60 * 60 * 24 * 365.25)).toFixed(2);
-          printText(`shipping uptime: ${yrs} years (since 2021).
+          stdout.write(`shipping uptime: ${yrs} years (since 2021).
 no scheduled maintenance windows. occasional production fires.`);
         }
       },
 
-      whoami: { desc: 'short bio', run: () => printText('nicholas lasagna — software engineer · texas tech \'27 · berkeley, ca.\nopen to summer 2026 swe internships.') },
+      whoami: {
+        desc: 'short bio',
+        safe: true,
+        usage: 'whoami',
+        see: ['neofetch'],
+        run: (args, { stdout }) => stdout.write('nicholas lasagna — software engineer · texas tech \'27 · berkeley, ca.\nopen to summer 2026 swe internships.')
+      },
 
       fortune: {
-        desc: 'a quote',
-        run: () => {
+        desc: 'a quote, from someone',
+        safe: true,
+        usage: 'fortune',
+        run: (args, { stdout }) => {
           const lines = [
             '"premature optimization is the root of all evil." — donald knuth',
             '"the cheapest, fastest, and most reliable components are those that aren\'t there." — gordon bell',
@@ -1319,13 +3113,16 @@ no scheduled maintenance windows. occasional production fires.`);
             '"if it doesn\'t panic in development, it will panic in production."',
             '"the type system is the test suite you wrote in advance." — me, probably',
           ];
-          printText(lines[Math.floor(Math.random() * lines.length)]);
+          stdout.write(lines[Math.floor(Math.random() * lines.length)]);
         }
       },
 
       neofetch: {
-        desc: 'system info',
-        run: () => {
+        desc: 'system info card',
+        safe: true,
+        usage: 'neofetch',
+        see: ['whoami'],
+        run: (args, { stdout }) => {
           const ascii = `         .---.
        .'_:___\".
        |__ --==|
@@ -1353,169 +3150,904 @@ no scheduled maintenance windows. occasional production fires.`);
 
           const rowHtml = rows.map(([k, v]) => `<span class="k">${escape(k)}</span> <span class="v">${linkify(escape(v))}</span>`).join('\n');
 
-          print(`<div class="ascii-block"><pre>${escape(ascii)}</pre><div class="info-rows">${rowHtml}</div></div>`);
+          stdout.html(
+            `<div class="ascii-block"><pre>${escape(ascii)}</pre><div class="info-rows">${rowHtml}</div></div>`,
+            rows.map(([k, v]) => `${k.padEnd(7)}${v}`).join('\n'),
+          );
         }
       },
 
       theme: {
-        desc: 'toggle/set theme',
-        run: (args) => {
-          const html = document.documentElement;
-          const cur = html.getAttribute('data-theme') || 'dark';
-          let next;
-          if (args[0] === 'light' || args[0] === 'dark') next = args[0];
-          else next = cur === 'light' ? 'dark' : 'light';
-          if (next === 'light') html.setAttribute('data-theme', 'light');
-          else html.setAttribute('data-theme', 'dark');
-          try { localStorage.setItem('theme', next); } catch {}
-          $('#themeBtn')?.setAttribute('aria-pressed', next === 'light' ? 'true' : 'false');
-          printOk(`theme set to ${next}.`);
+        desc: 'toggle or set the theme',
+        usage: 'theme [light|dark|--system]',
+        details: 'with no argument, toggles between light and dark. a picked theme sticks across visits until --system hands it back to the os.',
+        flags: [['--system', 'follow the operating system setting']],
+        examples: ['theme light', 'theme --system'],
+        complete: { args: ['light', 'dark'] },
+        run: (args, { stdout, stderr }) => {
+          const opts = getopt('theme', args, stderr);
+          if (!opts) return 2;
+          const [pick] = opts._;
+          if (pick !== undefined && pick !== 'light' && pick !== 'dark') return usageError('theme', stderr, `unknown theme '${pick}'`);
+          if (opts.system) {
+            if (pick) return usageError('theme', stderr, '--system takes no theme');
+            setTheme('system');
+            return stdout.write(`theme follows the system (${document.documentElement.getAttribute('data-theme')}).`, 'ok');
+          }
+          const cur = document.documentElement.getAttribute('data-theme') || 'dark';
+          const next = pick || (cur === 'light' ? 'dark' : 'light');
+          setTheme(next);
+          stdout.write(`theme set to ${next}.`, 'ok');
         }
       },
 
       goto: {
-        desc: 'scroll to section',
-        run: (args) => {
-          if (!args[0]) return printErr('goto: missing section. try: goto projects');
+        desc: 'scroll the page to a section',
+        safe: true,
+        usage: 'goto <section>',
+        examples: ['goto projects'],
+        see: ['tour'],
+        complete: { args: () => $$('section[id]').map(el => el.id).concat('top') },
+        run: (args, { stdout, stderr }) => {
+          if (!args[0]) return fail(stderr, 'goto: missing section. try: goto projects');
           const id = args[0].replace(/^#/, '');
-          if (!document.getElementById(id)) return printErr(`goto: section '${id}' not found.`);
+          if (!document.getElementById(id)) return fail(stderr, `goto: section '${id}' not found.`);
           window.__scrollToId?.(id);
-          printOk(`scrolled to #${id}.`);
+          stdout.write(`scrolled to #${id}.`, 'ok');
+        }
+      },
+
+      projects: {
+        desc: 'filter the projects grid',
+        safe: true,
+        usage: 'projects [--tag <tag>] [--search <text>] [--list]',
+        details: 'drives the same filter as the chips and search box on the page, hash included. a tag is a category (systems, web…) or a tech tag (rust, redis…); `--tag all` and `--search ""` reset. with no options, lists what is showing.',
+        flags: [
+          ['-t, --tag TAG', 'show only projects with this tag'],
+          ['-s, --search TEXT', 'show only projects mentioning the text'],
+          ['-l, --list', 'list the visible projects with their tags'],
+        ],
+        examples: ['projects --tag rust', 'projects --search redis --list', 'projects --tag all --search ""'],
+        see: ['open', 'goto'],
+        run: (args, { stdout, stderr, link }) => {
+          const opts = getopt('projects', args, stderr);
+          if (!opts) return 2;
+          if (!projects) return fail(stderr, 'projects: no projects grid on this page');
+          if (opts._.length) return usageError('projects', stderr, `unexpected argument '${opts._[0]}'`);
+          // From a link, leave the #shell?cmd= hash alone.
+          const sync = link ? { updateUrl: false } : { syncHash: true };
+          if (opts.tag !== undefined) projects.setFilter(opts.tag, sync);
+          if (opts.search !== undefined) projects.setQuery(opts.search, sync);
+          const { filter, query, visible } = projects.state();
+          const all = readProjects();
+          const shown = all.filter(p => visible.includes(p.el));
+          const scope = [filter !== 'all' && `tag: ${filter}`, query && `search: ${query}`].filter(Boolean).join(' · ');
+          stdout.write(`${shown.length} of ${all.length} projects${scope ? ` (${scope})` : ''}`);
+          if (!opts.list && (opts.tag !== undefined || opts.search !== undefined)) return;
+          const w = Math.max(0, ...shown.map(p => p.name.length));
+          const yw = Math.max(0, ...shown.map(p => p.year.length));
+          writeLines(stdout, shown.map(p => `  ${p.name.padEnd(w)}  ${p.year.padEnd(yw)}  ${p.tags.join(', ')}`));
+        }
+      },
+
+      open: {
+        desc: "show a project's case study",
+        safe: true,
+        usage: 'open <project>',
+        details: 'opens the same case-study window as the page buttons, for a project named by slug or by its file. closing it puts you back at the prompt.',
+        examples: ['open realfiction', 'open projects/nemesisssbu.md'],
+        see: ['cat', 'ls'],
+        complete: { args: () => readProjects().map(p => p.slug) },
+        run: (args, { stdout, stderr }) => {
+          if (!args[0]) return usageError('open', stderr, 'missing project');
+          if (!modal) return fail(stderr, 'open: no case-study window on this page');
+          const file = /^\/projects\/([^/]+)\.md$/.exec(resolvePath(args[0]));
+          const slug = file ? file[1] : args[0].replace(/\.md$/, '').toLowerCase();
+          const project = readProjects().find(p => p.slug === slug);
+          if (!project) return fail(stderr, `open: ${args[0]}: no such project. try: ls projects`);
+          modal.show(project, { returnFocus: input });
+          stdout.write(`opened ${project.title}.`, 'ok');
         }
       },
 
       email: {
-        desc: 'open mail',
-        run: () => {
+        desc: 'open a mail to nicholaslasagna@gmail.com',
+        usage: 'email',
+        see: ['github', 'linkedin'],
+        run: (args, { stdout }) => {
           window.location.href = 'mailto:nicholaslasagna@gmail.com';
-          printOk('opening mail to nicholaslasagna@gmail.com');
+          stdout.write('opening mail to nicholaslasagna@gmail.com', 'ok');
         }
       },
 
       resume: {
-        desc: 'open resume',
-        run: () => { window.open('Resume.pdf', '_blank'); printOk('opening Resume.pdf'); }
+        desc: 'open the resume pdf',
+        usage: 'resume',
+        see: ['email'],
+        run: (args, { stdout }) => { window.open('Resume.pdf', '_blank'); stdout.write('opening Resume.pdf', 'ok'); }
       },
 
       github: {
-        desc: 'open github',
-        run: (args) => {
-          const url = args[0] === 'alt' ? 'https://github.com/NemesisSSBU' : 'https://github.com/Maze77-AH';
-          window.open(url, '_blank'); printOk(`opening ${url}`);
+        desc: 'open the primary or alt github profile',
+        usage: 'github [--alt | alt]',
+        flags: [['-a, --alt', 'open the alt profile instead']],
+        examples: ['github --alt', 'github alt'],
+        see: ['linkedin'],
+        complete: { args: ['alt'] },
+        run: (args, { stdout, stderr }) => {
+          const opts = getopt('github', args, stderr);
+          if (!opts) return 2;
+          // `alt` as a word is the older spelling of --alt.
+          const [extra, ...rest] = opts._;
+          if (rest.length || (extra !== undefined && extra !== 'alt')) return usageError('github', stderr, `extra operand '${rest[0] ?? extra}'`);
+          const url = opts.alt || extra === 'alt' ? 'https://github.com/NemesisSSBU' : 'https://github.com/Maze77-AH';
+          window.open(url, '_blank'); stdout.write(`opening ${url}`, 'ok');
         }
       },
 
       linkedin: {
         desc: 'open linkedin',
-        run: () => { window.open('https://www.linkedin.com/in/nicholas-lasagna-798118277', '_blank'); printOk('opening linkedin'); }
+        usage: 'linkedin',
+        see: ['github'],
+        run: (args, { stdout }) => { window.open('https://www.linkedin.com/in/nicholas-lasagna-798118277', '_blank'); stdout.write('opening linkedin', 'ok'); }
       },
 
       exit: {
-        desc: 'close terminal',
-        run: () => {
+        desc: 'collapse the terminal',
+        usage: 'exit',
+        see: ['clear'],
+        run: (args, { stdout }) => {
           term.classList.remove('is-full');
-          newline();
-          printInfo('terminal collapsed. press ` to focus again.');
+          stdout.write('');
+          stdout.write('terminal collapsed. press ` to focus again.', 'info');
         }
       },
 
-      tour: {
-        desc: 'guided walkthrough',
-        run: async () => {
-          const stops = [
-            { id: 'shell',     msg: 'you are here. an actual shell, in the page.' },
-            { id: 'work',      msg: 'selected work — two live, public-facing systems.' },
-            { id: 'projects',  msg: 'all projects, filterable. try the "rust" search.' },
-            { id: 'principles',msg: 'six engineering opinions, earned the hard way.' },
-            { id: 'about',     msg: 'short bio + texas tech timeline.' },
-            { id: 'stack',     msg: 'honest stack — what i\'ve actually shipped with.' },
-            { id: 'contact',   msg: 'fastest way to reach me.' },
-          ];
-          for (const s of stops) {
-            window.__scrollToId?.(s.id);
-            printInfo(`#${s.id}: ${s.msg}`);
-            await new Promise(r => setTimeout(r, reduceMotion() ? 250 : 1100));
+      record: {
+        desc: 'record the session as an asciicast',
+        usage: 'record start [file] | stop | export <file> | import',
+        details: 'start captures keystrokes and output (to session.cast by default) and stop saves it as an asciicast v2 file. export downloads a cast; import loads one from disk.',
+        examples: ['record start demo.cast', 'record export demo.cast'],
+        see: ['replay', 'save'],
+        complete: { args: ['start', 'stop', 'export', 'import'] },
+        run: async (args, { stdout, stderr, signal }) => {
+          const [sub, file] = args;
+          const usage = 'record: usage: record start [file] | stop | export <file> | import';
+          if (sub === 'start') {
+            if (recording) return fail(stderr, `record: already recording to ${recording.path}. stop with: record stop`);
+            const path = file || 'session.cast';
+            checkWritable(path, resolvePath(path));
+            stdout.write(`recording to ${path}. stop with: record stop`, 'ok');
+            recording = { path, start: performance.now(), timestamp: Math.floor(Date.now() / 1000), events: [] };
+            return;
+          }
+          if (sub === 'stop') {
+            if (!recording) return fail(stderr, 'record: not recording. try: record start');
+            const rec = recording;
+            recording = null;
+            // Drop the echo and keystrokes of the `record stop` line itself.
+            let cut = rec.events.length;
+            if (rec.events[cut - 1]?.[1] === 'o') cut--;
+            while (cut > 0 && rec.events[cut - 1][1] === 'i') cut--;
+            rec.events.length = cut;
+            writeFile(rec.path, castText(rec));
+            return stdout.write(`saved ${rec.events.length} events to ${rec.path}. play it with: replay ${rec.path}`, 'ok');
+          }
+          if (sub === 'export') {
+            const node = file && lookup(file);
+            if (!node || node.type !== 'file') return fail(stderr, file ? `record: ${file}: no such file` : usage, file ? 1 : 2);
+            parseCast(node.content);
+            download(baseName(resolvePath(file)), node.content, 'application/x-asciicast');
+            return stdout.write(`downloading ${file}`, 'ok');
+          }
+          if (sub === 'import') {
+            const picked = await pickFile('.cast,.json,application/json', signal);
+            if (!picked) return fail(stderr, 'record: import cancelled');
+            const text = await picked.text();
+            parseCast(text);
+            const path = file || picked.name;
+            writeFile(path, text);
+            return stdout.write(`imported ${path}. play it with: replay ${path}`, 'ok');
           }
-          printOk('tour complete. \\;\\)');
-          window.__scrollToId?.('shell');
+          return fail(stderr, usage, 2);
         }
       },
 
+      save: {
+        desc: 'download the terminal transcript',
+        usage: 'save [--html|--md] [file]',
+        details: 'downloads everything on screen, prompts included: plain text by default, or the format the file name implies.',
+        flags: [
+          ['--html', 'a standalone page with the terminal styling'],
+          ['--md', 'markdown with a console code block'],
+        ],
+        examples: ['save', 'save --md session.md'],
+        see: ['record'],
+        run: (args, { stdout, stderr }) => {
+          const opts = getopt('save', args, stderr);
+          if (!opts) return 2;
+          const names = opts._;
+          // A flag wins; otherwise the file extension picks the format.
+          const ext = /\.(html?|md)$/i.exec(names[0] || '')?.[1].toLowerCase();
+          const format = opts.html ? 'html' : opts.md ? 'md' : ext === 'md' ? 'md' : ext ? 'html' : 'txt';
+          const name = names[0] || `transcript.${format}`;
+          const types = { txt: 'text/plain', md: 'text/markdown', html: 'text/html' };
+          download(name, transcript(format), types[format]);
+          stdout.write(`downloading ${name} (${out.children.length} lines)`, 'ok');
+        }
+      },
+
+      replay: {
+        desc: 'play back a recording',
+        safe: true,
+        usage: 'replay [-s N] <file>',
+        flags: [['-s N', 'play N times faster', 'number']],
+        examples: ['replay -s 2 demo.cast'],
+        see: ['record'],
+        run: async (args, { stderr, signal }) => {
+          const opts = getopt('replay', args, stderr);
+          if (!opts) return 2;
+          const speed = opts.s ?? 1;
+          if (!(speed > 0)) return fail(stderr, `replay: invalid speed: '${opts.s}'`, 2);
+          const file = opts._[0];
+          if (!file) return fail(stderr, 'replay: missing file. try: replay session.cast', 2);
+          const node = lookup(file);
+          if (!node) return fail(stderr, `replay: ${file}: no such file or directory`);
+          if (node.type === 'dir') return fail(stderr, `replay: ${file}: is a directory`);
+          await replayCast(parseCast(node.content), { speed, signal });
+        }
+      },
+
+      tour: {
+        desc: 'guided walkthrough of this site',
+        safe: true,
+        usage: 'tour',
+        details: 'runs /demos/intro.sh, a scripted walk through the site. ctrl+c stops it.',
+        see: ['goto'],
+        // With reduced motion the script's 1.1s beats drop to 250ms.
+        run: (args, io) => runScript('/demos/intro.sh', { ...io, pace: reduceMotion() ? 0.25 / 1.1 : 1 }, { subshell: true }),
+      },
+
       // Light easter eggs
-      vim:    { desc: 'jk', run: () => printErr("you don't need vim here. try ':q' anyway. just kidding, you can't quit.") },
-      nano:   { desc: 'jk', run: () => printErr('nano is not installed. (this is a portfolio.)') },
-      emacs:  { desc: 'jk', run: () => printErr('emacs would be too much for a static site. try `vim`.') },
-      ssh:    { desc: 'jk', run: () => printErr('ssh: connect to host portfolio port 22: connection refused.') },
-      sudo:   { desc: 'jk', run: () => printErr('user is not in the sudoers file. this incident will not be reported.') },
-      rm:     { desc: 'jk', run: (a) => printErr(a.includes('-rf') ? 'i admire your courage. permission denied.' : 'rm: try cat instead.') },
-      'man':  { desc: 'show command help', run: (args) => {
-        if (!args[0]) return printErr('what manual page do you want? try: man cat');
-        const c = COMMANDS[args[0]];
-        if (!c) return printErr(`no manual entry for ${args[0]}`);
-        printText(`NAME\n  ${args[0]} — ${c.desc}\n\nSEE ALSO\n  help`);
-      }},
+      vim:    { desc: 'edit a file (not really)', usage: 'vim [file]', safe: true, run: (a, { stderr }) => fail(stderr, "you don't need vim here. try ':q' anyway. just kidding, you can't quit.") },
+      nano:   { desc: 'edit a file (no)', usage: 'nano [file]', safe: true, run: (a, { stderr }) => fail(stderr, 'nano is not installed. (this is a portfolio.)') },
+      emacs:  { desc: 'edit a file (absolutely not)', usage: 'emacs [file]', safe: true, run: (a, { stderr }) => fail(stderr, 'emacs would be too much for a static site. try `vim`.') },
+      ssh:    { desc: 'log in to a remote host (no)', usage: 'ssh <host>', safe: true, run: (a, { stderr }) => fail(stderr, 'ssh: connect to host portfolio port 22: connection refused.') },
+      sudo:   { desc: 'run a command as root (no)', usage: 'sudo <command>', safe: true, run: (a, { stderr }) => fail(stderr, 'user is not in the sudoers file. this incident will not be reported.') },
+      man: {
+        desc: 'show the manual page for a command',
+        safe: true,
+        usage: 'man <command>',
+        examples: ['man grep', 'man ll'],
+        see: ['help', 'apropos'],
+        complete: { args: 'commands' },
+        run: (args, { stdout, stderr }) => {
+          if (!args[0]) return fail(stderr, 'what manual page do you want? try: man cat');
+          const page = manPage(args[0].toLowerCase());
+          if (!page) return fail(stderr, `no manual entry for ${args[0]}`);
+          stdout.write(page);
+        }
+      },
+
+      apropos: {
+        desc: 'search the manual',
+        safe: true,
+        usage: 'apropos <word...>',
+        details: 'lists the commands whose name, summary or description mentions any of the words, ignoring case. exits 1 if none do.',
+        examples: ['apropos file', 'apropos background'],
+        see: ['man', 'help'],
+        run: (args, { stdout, stderr }) => {
+          if (!args.length) return fail(stderr, 'apropos what? try: apropos file');
+          const words = args.map(a => a.toLowerCase());
+          const hits = manEntries().filter(({ name, aliases, cmd }) =>
+            [name, ...aliases, cmd.desc, cmd.details || ''].some(t => words.some(w => t.toLowerCase().includes(w))));
+          if (!hits.length) return fail(stderr, `${args.join(' ')}: nothing appropriate.`);
+          const w = Math.max(...hits.map(h => h.name.length));
+          stdout.write(hits.map(({ name, cmd }) => `${name.padEnd(w)} — ${cmd.desc}`).join('\n'));
+        }
+      },
     };
 
     // Aliases
     COMMANDS['?']  = COMMANDS.help;
     COMMANDS['h']  = COMMANDS.help;
-    COMMANDS['ll'] = COMMANDS.ls;
     COMMANDS['dir']= COMMANDS.ls;
+    // ll is `ls -l`, not just another name for ls.
+    COMMANDS['ll'] = {
+      ...COMMANDS.ls,
+      desc: 'long listing, like ls -l',
+      usage: 'll [-ath] [path...]',
+      flags: COMMANDS.ls.flags.filter(([f]) => f !== '-1' && f !== '-l'),
+      examples: ['ll', 'll -t projects'],
+      see: ['ls', 'stat'],
+      run: (args, io) => COMMANDS.ls.run(['-l', ...args], io),
+    };
+
+    /* ---- manual ---- */
+    // help, man, apropos and completion all read the same per-command fields:
+    // desc, usage, details, flags ([flag, meaning] pairs), examples and see.
+    const HELP_COL = 26;
+    const SHELL_SYNTAX = [
+      ['a | b',           'pipe the output of a into b'],
+      ['a > file',        'write output to a file (>> appends)'],
+      ['a && b, a || b',  'run b only if a succeeded / failed ($? holds the status)'],
+      ['a ; b',           'run a, then b'],
+      ['a &',             'run a in the background (jobs lists, kill %n stops)'],
+      ['$NAME, ${NAME}',  'expand a variable (export sets one)'],
+      ['~/.shellrc',      'runs on boot; put your aliases and exports here'],
+    ];
+
+    // One entry per command, in declaration order; alias keys (ll, ?) fold in.
+    const manEntries = () => {
+      const seen = new Map();
+      for (const [name, cmd] of Object.entries(COMMANDS)) {
+        if (seen.has(cmd)) seen.get(cmd).aliases.push(name);
+        else seen.set(cmd, { name, cmd, aliases: [] });
+      }
+      return [...seen.values()];
+    };
+
+    const manPage = name => {
+      const entry = manEntries().find(e => e.name === name || e.aliases.includes(name));
+      if (!entry) return null;
+      const { cmd } = entry;
+      const flags = cmd.flags || [];
+      const w = Math.max(0, ...flags.map(([f]) => f.length));
+      const description = [wordWrap(cmd.details || `${cmd.desc}.`)];
+      if (flags.length) description.push('', ...flags.map(([f, d]) => `${f.padEnd(w + 2)}${d}`));
+      const sections = [
+        ['NAME', `${[entry.name, ...entry.aliases].join(', ')} — ${cmd.desc}`],
+        ['SYNOPSIS', cmd.usage || entry.name],
+        ['DESCRIPTION', description.join('\n')],
+      ];
+      if (cmd.examples?.length) sections.push(['EXAMPLES', cmd.examples.map(e => `$ ${e}`).join('\n')]);
+      if (cmd.see?.length) sections.push(['SEE ALSO', cmd.see.join(', ')]);
+      return sections.map(([head, text]) => `${head}\n${text.split('\n').map(l => l && `  ${l}`).join('\n')}`).join('\n\n');
+    };
 
     /* ---- runner ---- */
-    const tokenize = (line) => line.trim().match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+    // Splits a line into words and operators. Quotes group words and are
+    // stripped; inside double quotes a backslash only escapes " \ and $.
+    // A word is a list of parts — literal text or a $NAME / ${NAME} reference,
+    // each flagged `quoted` — so expansion can wait until the command runs.
+    const OPERATORS = ['>>', '&&', '||', '>', '|', ';', '&'];
+    const CONNECTORS = [';', '\n', '&&', '||', '&'];
+    const VAR_REF = /^\$(?:\{([A-Za-z_][A-Za-z0-9_]*|\?)\}|([A-Za-z_][A-Za-z0-9_]*|\?))/;
+    const tokenize = (line) => {
+      const tokens = [];
+      let parts = null;
+      const add = (part) => {
+        parts = parts || [];
+        const prev = parts[parts.length - 1];
+        if (part.text !== undefined && prev?.text !== undefined && prev.quoted === part.quoted) prev.text += part.text;
+        else parts.push(part);
+      };
+      const flush = () => {
+        if (parts) tokens.push({ type: 'word', parts });
+        parts = null;
+      };
+      for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '\n') { flush(); tokens.push({ type: 'op', value: '\n' }); continue; }
+        if (/\s/.test(ch)) { flush(); continue; }
+        // `#` at the start of a word comments out the rest of the line
+        if (ch === '#' && !parts) {
+          const nl = line.indexOf('\n', i);
+          i = (nl < 0 ? line.length : nl) - 1;
+          continue;
+        }
+        if (ch === "'" || ch === '"') {
+          let j = i + 1;
+          add({ text: '', quoted: true });
+          while (j < line.length && line[j] !== ch) {
+            if (ch === '"' && line[j] === '\\' && '"\\$'.includes(line[j + 1])) j++;
+            else if (ch === '"' && line[j] === '$') {
+              const m = VAR_REF.exec(line.slice(j));
+              if (m) { add({ name: m[1] || m[2], quoted: true }); j += m[0].length; continue; }
+            }
+            add({ text: line[j++], quoted: true });
+          }
+          if (j >= line.length) throw new Error('syntax error: unterminated quote');
+          i = j;
+          continue;
+        }
+        if (ch === '\\' && i + 1 < line.length) { add({ text: line[++i], quoted: true }); continue; }
+        if (ch === '$') {
+          const m = VAR_REF.exec(line.slice(i));
+          if (m) { add({ name: m[1] || m[2], quoted: false }); i += m[0].length - 1; continue; }
+        }
+        const op = OPERATORS.find(o => line.startsWith(o, i));
+        if (op) {
+          flush();
+          tokens.push({ type: 'op', value: op });
+          i += op.length - 1;
+          continue;
+        }
+        add({ text: ch, quoted: false });
+      }
+      flush();
+      return tokens;
+    };
+
+    // Turns a word into its fields: variables resolved, then unquoted glob
+    // characters matched against the filesystem. A pattern that matches
+    // nothing stays as typed, and an unquoted expansion that comes out empty
+    // drops the word entirely, both as in bash.
+    const expandWord = (word) => {
+      const value = word.parts.map(p => p.name !== undefined ? getVar(p.name) ?? '' : p.text).join('');
+      if (!value && word.parts.every(p => p.name !== undefined && !p.quoted)) return [];
+      // Quoted text must not act as a glob, so escape it.
+      const pat = word.parts.map(p => {
+        const text = p.name !== undefined ? getVar(p.name) ?? '' : p.text;
+        return p.quoted ? text.replace(/[*?[\\]/g, '\\$&') : text;
+      }).join('');
+      if (!hasGlob(pat)) return [value];
+      const matches = expandGlob(pat);
+      return matches.length ? matches : [value];
+    };
+    const expandArgv = words => words.flatMap(expandWord);
+
+    // Groups tokens into pipe stages: [{ argv, redirect: { path, append } | null }],
+    // where argv and path are still unexpanded words.
+    const parsePipeline = (tokens) => {
+      const stages = [{ argv: [], redirect: null }];
+      for (let i = 0; i < tokens.length; i++) {
+        const t = tokens[i];
+        const stage = stages[stages.length - 1];
+        if (t.type === 'word') { stage.argv.push(t); continue; }
+        if (t.value === '|') {
+          if (!stage.argv.length) throw new Error("syntax error near unexpected token '|'");
+          stages.push({ argv: [], redirect: null });
+          continue;
+        }
+        const target = tokens[++i];
+        if (target?.type !== 'word') throw new Error(`syntax error near unexpected token '${target?.value ?? 'newline'}'`);
+        stage.redirect = { path: target, append: t.value === '>>' };
+      }
+      if (!stages[stages.length - 1].argv.length) throw new Error("syntax error near unexpected token '|'");
+      return stages;
+    };
+
+    // Recursive descent over the tokens. Newlines separate like ';'.
+    //   list := item (( ; | \n | & | && | || ) item)*
+    //   item := if list; then list; [elif list; then list;]… [else list;] fi
+    //         | for NAME [in word…]; do list; done
+    //         | pipeline
+    // Items come back as { op, node, text, bg }, where op is the connector
+    // before them and bg marks a trailing `&`.
+    const KEYWORDS = ['if', 'then', 'elif', 'else', 'fi', 'for', 'in', 'do', 'done'];
+    const tokenText = t => t.type === 'op' ? (t.value === '\n' ? 'newline' : t.value) : t.parts.map(p => p.text ?? `$${p.name}`).join('');
+    const keywordOf = t => {
+      const p = t?.type === 'word' && t.parts.length === 1 ? t.parts[0] : null;
+      return p && !p.quoted && KEYWORDS.includes(p.text) ? p.text : null;
+    };
+
+    // Replaces aliased command words with the alias's tokens. An alias is
+    // not expanded inside itself, and one ending in a space lets the next
+    // word be checked too, as in bash.
+    const COMMAND_KEYWORDS = ['if', 'then', 'elif', 'else', 'do'];
+    const expandAliases = (tokens, seen = []) => {
+      const out = [];
+      let cmdPos = true;
+      for (const t of tokens) {
+        const part = t.type === 'word' && t.parts.length === 1 && !t.parts[0].quoted ? t.parts[0] : null;
+        const name = cmdPos && part?.text;
+        if (name && Object.prototype.hasOwnProperty.call(aliases, name) && !seen.includes(name)) {
+          out.push(...expandAliases(tokenize(aliases[name]), [...seen, name]));
+          cmdPos = /\s$/.test(aliases[name]);
+          continue;
+        }
+        out.push(t);
+        cmdPos = t.type === 'op' ? t.value !== '>' && t.value !== '>>' : COMMAND_KEYWORDS.includes(keywordOf(t));
+      }
+      return out;
+    };
+
+    const parse = (tokens) => {
+      tokens = expandAliases(tokens);
+      let pos = 0;
+      const peek = () => tokens[pos];
+      const unexpected = t => new Error(`syntax error near unexpected token '${t ? tokenText(t) : 'end of input'}'`);
+      const isSep = t => t?.type === 'op' && (t.value === ';' || t.value === '\n' || t.value === '&');
+      const expect = kw => { if (keywordOf(peek()) !== kw) throw unexpected(peek()); pos++; };
+      const nonEmpty = list => { if (!list.length) throw unexpected(peek()); return list; };
+
+      const parseList = (...terminators) => {
+        const list = [];
+        let op = null;
+        while (peek()?.type === 'op' && peek().value === '\n') pos++;
+        for (;;) {
+          const t = peek();
+          if (!t || terminators.includes(keywordOf(t))) {
+            if (op === '&&' || op === '||') throw unexpected(t);
+            return list;
+          }
+          const start = pos;
+          const item = { op, node: parseItem() };
+          op = null;
+          item.text = tokens.slice(start, pos).map(t => t.value === '\n' ? ';' : tokenText(t)).join(' ').replace(/ ;/g, ';');
+          list.push(item);
+          const next = peek();
+          if (!next || terminators.includes(keywordOf(next))) continue;
+          if (next.type !== 'op' || !CONNECTORS.includes(next.value)) throw unexpected(next);
+          // `&` backgrounds the whole && / || chain before it, then carries on
+          // as if it were `;`.
+          if (next.value === '&') {
+            let k = list.length - 1;
+            while (k > 0 && (list[k].op === '&&' || list[k].op === '||')) k--;
+            const chain = list.splice(k);
+            list.push(chain.length === 1 ? { ...item, bg: true } : {
+              op: chain[0].op,
+              node: { type: 'list', list: chain.map((c, i) => i ? c : { ...c, op: null }) },
+              text: chain.map((c, i) => i ? `${c.op} ${c.text}` : c.text).join(' '),
+              bg: true,
+            });
+          }
+          op = next.value === '\n' || next.value === '&' ? ';' : next.value;
+          pos++;
+          // Blank lines and a trailing ';' are fine; `;;` is not.
+          while (peek()?.type === 'op' && peek().value === '\n') pos++;
+          if (isSep(next) && isSep(peek())) throw unexpected(peek());
+        }
+      };
+
+      const parseItem = () => {
+        const kw = keywordOf(peek());
+        if (kw === 'if') {
+          pos++;
+          const clauses = [];
+          let elseBody = null;
+          do {
+            const cond = nonEmpty(parseList('then'));
+            expect('then');
+            clauses.push({ cond, body: nonEmpty(parseList('elif', 'else', 'fi')) });
+          } while (keywordOf(peek()) === 'elif' && ++pos);
+          if (keywordOf(peek()) === 'else') { pos++; elseBody = nonEmpty(parseList('fi')); }
+          expect('fi');
+          return { type: 'if', clauses, elseBody };
+        }
+        if (kw === 'for') {
+          pos++;
+          const name = peek();
+          if (name?.type !== 'word' || !VAR_NAME.test(tokenText(name))) throw unexpected(name);
+          pos++;
+          const words = [];
+          if (keywordOf(peek()) === 'in') {
+            pos++;
+            while (peek()?.type === 'word') words.push(tokens[pos++]);
+          }
+          while (isSep(peek())) pos++;
+          expect('do');
+          const body = nonEmpty(parseList('done'));
+          expect('done');
+          return { type: 'for', name: tokenText(name), words, body };
+        }
+        if (kw) throw unexpected(peek());
+        const start = pos;
+        while (peek() && !(peek().type === 'op' && CONNECTORS.includes(peek().value))) pos++;
+        return { type: 'pipeline', stages: parsePipeline(tokens.slice(start, pos)) };
+      };
+
+      const list = parseList();
+      if (pos < tokens.length) throw unexpected(peek());
+      return list;
+    };
+
+    const errStream = termStream('err');
+
+    // Plugin listeners, by event name. A throwing listener can't break the shell.
+    const listeners = {};
+    const emit = (event, detail) => (listeners[event] || []).forEach(fn => {
+      try { fn(detail); } catch (e) { console.error(e); }
+    });
+
+    // `NAME=value` on its own is a plain assignment.
+    const isAssignment = argv => argv.every(a => /^[A-Za-z_][A-Za-z0-9_]*=/.test(a));
+
+    const runCommand = async (argv, io) => {
+      if (isAssignment(argv)) {
+        let status = 0;
+        for (const a of argv) {
+          const eq = a.indexOf('=');
+          try { assignVar(a.slice(0, eq), a.slice(eq + 1)); }
+          catch (e) { status = fail(io.stderr, `sh: ${e.message}`); }
+        }
+        return status;
+      }
+      const name = argv[0].toLowerCase();
+      const cmd = COMMANDS[name];
+      let status;
+      if (!cmd) status = fail(io.stderr, `${name}: command not found. try 'help'.`, 127);
+      else {
+        try {
+          status = await cmd.run(argv.slice(1), io);
+          if (typeof status !== 'number') status = 0;
+        } catch (e) {
+          status = fail(io.stderr, `${name}: error: ${e.message || e}`);
+        }
+      }
+      return status;
+    };
+
+    // Stages run one after another; each one's buffered stdout becomes the
+    // next one's stdin, and the last one writes to io.stdout. stderr is shared.
+    // The pipeline's status is its last stage's, like bash without pipefail.
+    const runPipeline = async (stages, io) => {
+      let stdin = io.stdin ?? null, status = 0;
+      for (let i = 0; i < stages.length; i++) {
+        if (io.signal?.aborted) return 130;
+        const { redirect } = stages[i];
+        const argv = expandArgv(stages[i].argv);
+        const last = i === stages.length - 1;
+        const stdout = redirect || !last ? bufferStream() : io.stdout;
+        status = argv.length ? await runCommand(argv, { ...io, stdin, stdout }) : 0;
+        if (redirect) {
+          try {
+            const fields = expandWord(redirect.path);
+            if (fields.length !== 1 || !fields[0]) throw new Error('ambiguous redirect');
+            if (resolvePath(fields[0]) !== '/dev/null') writeFile(fields[0], stdout.text(), redirect.append);
+          }
+          catch (e) { status = fail(io.stderr, `sh: ${e.message}`); }
+        }
+        // Listeners see the status after any redirect failure, like $? does.
+        if (argv.length && !isAssignment(argv)) emit('command', { name: argv[0].toLowerCase(), args: argv.slice(1), status });
+        stdin = redirect ? '' : last ? null : stdout.text();
+      }
+      return status;
+    };
+
+    // && runs the next item only after success, || only after failure.
+    // Once io.signal aborts nothing further starts and the status is 130.
+    // Background jobs (io.job) keep their status to themselves; only the
+    // foreground sets $?.
+    const execList = async (list, io) => {
+      let status = 0;
+      const settle = s => { status = s; if (!io.job) lastStatus = s; };
+      for (const { op, node, text, bg } of list) {
+        if (io.signal?.aborted) break;
+        if (op === '&&' && status !== 0) continue;
+        if (op === '||' && status === 0) continue;
+        if (bg) { startJob(node, text, io); settle(0); continue; }
+        settle(await execNode(node, io));
+      }
+      if (io.signal?.aborted) settle(130);
+      return status;
+    };
+
+    const execNode = async (node, io) => {
+      if (node.type === 'pipeline') return runPipeline(node.stages, io);
+      if (node.type === 'list') return execList(node.list, io);
+      if (node.type === 'if') {
+        for (const { cond, body } of node.clauses) {
+          if (await execList(cond, io) === 0) return execList(body, io);
+        }
+        return node.elseBody ? execList(node.elseBody, io) : 0;
+      }
+      // for: an empty word list leaves the status alone, as in bash
+      let status = 0;
+      for (const value of expandArgv(node.words)) {
+        if (io.signal?.aborted) return 130;
+        try { assignVar(node.name, value); }
+        catch (e) { return fail(io.stderr, `sh: ${e.message}`); }
+        status = await execList(node.body, io);
+      }
+      return status;
+    };
+
+    /* ---- jobs ---- */
+    // `a &` runs a with its own AbortController and returns at once; `jobs`
+    // lists what is still running and `kill %n` aborts it. Foreground
+    // commands get a controller from run() that Ctrl+C aborts.
+    const jobs = []; // { id, text, ctl }
+    const foreground = new Set();
+
+    const startJob = (node, text, io) => {
+      const ctl = new AbortController();
+      const job = { id: jobs.reduce((n, j) => Math.max(n, j.id), 0) + 1, text, ctl };
+      jobs.push(job);
+      io.stderr.write(`[${job.id}] ${text}`, 'info');
+      execNode(node, { ...io, stdin: null, signal: ctl.signal, job: true })
+        .catch(e => fail(io.stderr, `sh: ${e.message || e}`))
+        .then(status => {
+          jobs.splice(jobs.indexOf(job), 1);
+          const state = ctl.signal.aborted ? 'Terminated' : status ? `Exit ${status}` : 'Done';
+          io.stderr.write(`[${job.id}]  ${state.padEnd(12)}${text}`, 'info');
+        });
+    };
+
+    // Aborts every foreground command. Returns false if nothing was running.
+    const interrupt = () => {
+      if (!foreground.size) return false;
+      foreground.forEach(ctl => ctl.abort());
+      foreground.clear();
+      printText('^C');
+      lastStatus = 130;
+      return true;
+    };
 
-    const run = async (raw) => {
-      const trimmed = raw.trim();
+    // Resolves after ms, or as soon as the signal aborts.
+    const delay = (ms, signal) => new Promise(resolve => {
+      if (signal?.aborted) return resolve();
+      const done = () => { clearTimeout(timer); signal?.removeEventListener('abort', done); resolve(); };
+      const timer = setTimeout(done, ms);
+      signal?.addEventListener('abort', done);
+    });
+
+    // Runs a file from the filesystem in the current shell (`source`). `sh`
+    // passes `subshell` so cwd and variable changes are rolled back after.
+    const MAX_SCRIPT_DEPTH = 16;
+    let scriptDepth = 0;
+    const runScript = async (path, io, { subshell = false } = {}) => {
+      const node = lookup(path);
+      if (!node) return fail(io.stderr, `${path}: no such file or directory`);
+      if (node.type === 'dir') return fail(io.stderr, `${path}: is a directory`);
+      if (scriptDepth >= MAX_SCRIPT_DEPTH) return fail(io.stderr, `${path}: maximum nesting depth exceeded`);
+      let list;
+      try { list = parse(tokenize(node.content)); }
+      catch (e) { return fail(io.stderr, `${path}: ${e.message}`, 2); }
+      const saved = subshell ? { cwd, vars: { ...shellVars }, env: { ...envVars } } : null;
+      scriptDepth++;
+      try {
+        if (!io.job) lastStatus = 0;
+        return await execList(list, io);
+      } finally {
+        scriptDepth--;
+        if (saved) {
+          cwd = saved.cwd;
+          for (const k of Object.keys(shellVars)) delete shellVars[k];
+          Object.assign(shellVars, saved.vars);
+          for (const k of Object.keys(envVars)) delete envVars[k];
+          Object.assign(envVars, saved.env);
+          saveEnv();
+          updateCwdEls();
+        }
+      }
+    };
+
+    // `link` runs come from #shell?cmd= links: they stay out of the saved
+    // history, and commands see io.link.
+    const run = async (raw, { link = false } = {}) => {
+      let trimmed = raw.trim();
       if (!trimmed) { newline(); return; }
-      history.push(trimmed);
       historyIdx = -1;
       echoCommand(trimmed);
-
-      const parts = tokenize(trimmed);
-      const name = parts.shift().toLowerCase();
-      const args = parts.map(s => s.replace(/^"|"$/g, ''));
-      const cmd = COMMANDS[name];
-      if (!cmd) {
-        printErr(`${name}: command not found. try 'help'.`);
-        return;
+      try {
+        const expanded = expandHistory(trimmed);
+        if (expanded !== trimmed) printText(expanded);
+        trimmed = expanded;
+      } catch (e) { printErr(`sh: ${e.message}`); return; }
+      if (!link) pushHistory(trimmed);
+
+      let list;
+      try { list = parse(tokenize(trimmed)); }
+      catch (e) { printErr(`sh: ${e.message}`); lastStatus = 2; return; }
+      // Ctrl+C hands the prompt back at once, even if a command is slow to stop.
+      const ctl = new AbortController();
+      const aborted = new Promise(r => ctl.signal.addEventListener('abort', r));
+      foreground.add(ctl);
+      try {
+        await Promise.race([execList(list, { stdout: termStream(), stderr: errStream, signal: ctl.signal, link }), aborted]);
+      } finally {
+        foreground.delete(ctl);
       }
-      try { await cmd.run(args); }
-      catch (e) { printErr(`${name}: error: ${e.message || e}`); }
     };
 
     /* ---- autocomplete ---- */
-    const complete = (line) => {
+    // Flags come from a command's `flags`; its `complete: { args }` is
+    // 'paths' (the default), 'dirs', 'commands', a list of words, or a
+    // function returning one. Tab with several candidates lists them and
+    // inserts the first; repeated Tab cycles, Shift+Tab goes backwards.
+    const pathCandidates = (word, dirsOnly) => {
+      if (word === '~') return ['~/'];
+      const slash = word.lastIndexOf('/');
+      const dir = slash >= 0 ? word.slice(0, slash + 1) : '';
+      const prefix = word.slice(slash + 1);
+      const node = lookup(slash >= 0 ? word.slice(0, slash) || '/' : cwd);
+      if (node?.type !== 'dir') return [];
+      return Object.keys(node.children)
+        .filter(n => !n.startsWith('.') || prefix.startsWith('.'))
+        .filter(n => !dirsOnly || node.children[n].type === 'dir')
+        .map(n => dir + n + (node.children[n].type === 'dir' ? '/' : ' '));
+    };
+    const COMPLETERS = {
+      paths: word => pathCandidates(word, false),
+      dirs: word => pathCandidates(word, true),
+      commands: () => [...Object.keys(COMMANDS), ...Object.keys(aliases)].map(c => c + ' '),
+    };
+
+    let cycle = null; // { head, list, idx, value }
+    const complete = (line, step = 1) => {
+      if (cycle && line === cycle.value) {
+        cycle.idx = (cycle.idx + step + cycle.list.length) % cycle.list.length;
+        return (cycle.value = cycle.head + cycle.list[cycle.idx]);
+      }
+      cycle = null;
       const parts = line.split(/\s+/);
-      if (parts.length === 1) {
-        const matches = Object.keys(COMMANDS).filter(c => c.startsWith(parts[0]));
-        return matches.length === 1 ? matches[0] + ' ' : null;
-      }
-      // Path completion for last token
-      const last = parts[parts.length - 1] || '';
-      let dirPath = cwd, prefix = last;
-      const slash = last.lastIndexOf('/');
-      if (slash >= 0) {
-        dirPath = resolvePath(last.slice(0, slash) || '/');
-        prefix = last.slice(slash + 1);
-      } else if (last.startsWith('~')) {
-        dirPath = '/'; prefix = last.slice(2);
-      }
-      const node = lookup(dirPath);
-      if (!node || node.type !== 'dir') return null;
-      const matches = Object.keys(node.children).filter(n => n.startsWith(prefix));
-      if (matches.length !== 1) {
-        if (matches.length > 1) {
-          newline(); printText('  ' + matches.join('   '));
-        }
-        return null;
-      }
-      const match = matches[0];
-      const head = parts.slice(0, -1).join(' ');
-      const dir = (slash >= 0) ? last.slice(0, slash + 1) : '';
-      const completed = (head ? head + ' ' : '') + dir + match + (node.children[match].type === 'dir' ? '/' : ' ');
-      return completed;
+      const word = parts[parts.length - 1];
+      const head = line.slice(0, line.length - word.length);
+      // A glob in the last token expands in place, zsh-style
+      if (parts.length > 1 && hasGlob(word)) {
+        const matches = expandGlob(word);
+        return matches.length ? head + matches.join(' ') + ' ' : null;
+      }
+      let pool;
+      if (parts.length === 1) pool = COMPLETERS.commands();
+      else {
+        const cmd = COMMANDS[parts[0].toLowerCase()];
+        const args = cmd?.complete?.args || 'paths';
+        if (word.startsWith('-') && cmd?.flags) pool = optSpecs(cmd.flags).flatMap(sp => sp.names).map(f => f + ' ');
+        else if (typeof args === 'string') pool = COMPLETERS[args](word);
+        else pool = (typeof args === 'function' ? args() : args).map(w => w + ' ');
+      }
+      const list = [...new Set(pool)].filter(c => c.startsWith(word)).sort();
+      if (!list.length) return null;
+      if (list.length === 1) return head + list[0];
+      newline();
+      printText('  ' + list.map(c => c.trimEnd().replace(/^.*\/(?=.)/, '')).join('   '));
+      cycle = { head, list, idx: step > 0 ? 0 : list.length - 1 };
+      return (cycle.value = head + list[cycle.idx]);
+    };
+
+    /* ---- reverse-i-search (Ctrl+R) ---- */
+    // While searching, keystrokes edit the query instead of the input; the
+    // input shows the current match and the prompt shows the query.
+    let search = null; // { query, idx, saved, failed }
+
+    const renderSearch = () => {
+      if (!promptEl) return;
+      const label = search.failed ? '(failed reverse-i-search)' : '(reverse-i-search)';
+      promptEl.innerHTML = `<span class="term-search">${label}\`<span class="term-search-q">${escape(search.query)}</span>':</span>`;
+    };
+    const findMatch = from => {
+      for (let i = from; i >= 0; i--) {
+        if (search.query && history[i].includes(search.query)) return i;
+      }
+      return -1;
+    };
+    const updateSearch = from => {
+      const i = findMatch(from);
+      search.failed = !!search.query && i < 0;
+      if (i >= 0) { search.idx = i; input.value = history[i]; }
+      else if (!search.query) input.value = search.saved;
+      renderSearch();
+    };
+    const startSearch = () => {
+      if (search) return updateSearch(search.idx - 1);
+      search = { query: '', idx: history.length, saved: input.value, failed: false };
+      renderSearch();
+    };
+    const endSearch = (restore = false) => {
+      if (!search) return;
+      if (restore) input.value = search.saved;
+      search = null;
+      refreshPrompt();
+      input.setSelectionRange(input.value.length, input.value.length);
+    };
+    // Returns true when the key was consumed by the search.
+    const searchKey = e => {
+      if (e.ctrlKey && (e.key === 'g' || e.key === 'G' || e.key === 'c' || e.key === 'C')) {
+        e.preventDefault();
+        endSearch(true);
+        return true;
+      }
+      if (e.ctrlKey && (e.key === 'r' || e.key === 'R')) return false;
+      if (e.key === 'Backspace') {
+        e.preventDefault();
+        search.query = search.query.slice(0, -1);
+        updateSearch(history.length - 1);
+        return true;
+      }
+      if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        e.preventDefault();
+        search.query += e.key;
+        updateSearch(search.failed ? history.length - 1 : search.idx === history.length ? history.length - 1 : search.idx);
+        return true;
+      }
+      // Enter, Escape, arrows, Tab… accept the match into the line and carry on.
+      endSearch(e.key === 'Escape' && search.failed);
+      return e.key === 'Escape';
     };
+    input.addEventListener('blur', () => endSearch());
 
     /* ---- focus / events ---- */
     term.addEventListener('click', e => {
@@ -1532,7 +4064,12 @@ no scheduled maintenance windows. occasional production fires.`);
     });
 
     input.addEventListener('keydown', e => {
-      if (e.key === 'ArrowUp') {
+      recordKey(e);
+      if (search && searchKey(e)) return;
+      if (e.ctrlKey && (e.key === 'r' || e.key === 'R')) {
+        e.preventDefault();
+        startSearch();
+      } else if (e.key === 'ArrowUp') {
         e.preventDefault();
         if (!history.length) return;
         if (historyIdx === -1) historyIdx = history.length - 1;
@@ -1552,14 +4089,14 @@ no scheduled maintenance windows. occasional production fires.`);
         }
       } else if (e.key === 'Tab') {
         e.preventDefault();
-        const completed = complete(input.value);
+        const completed = complete(input.value, e.shiftKey ? -1 : 1);
         if (completed) input.value = completed;
       } else if (e.ctrlKey && (e.key === 'l' || e.key === 'L')) {
         e.preventDefault();
-        out.innerHTML = '';
+        clearScreen();
       } else if (e.ctrlKey && (e.key === 'c' || e.key === 'C')) {
-        // visually echo the prompt and abort current input
-        echoCommand(input.value + '^C');
+        // stop the running command, or echo the prompt and drop the input
+        if (!interrupt()) echoCommand(input.value + '^C');
         input.value = '';
       }
     });
@@ -1569,11 +4106,11 @@ no scheduled maintenance windows. occasional production fires.`);
       term.classList.toggle('is-full');
       input.focus();
     });
-    clearBtn?.addEventListener('click', () => { out.innerHTML = ''; input.focus(); });
+    clearBtn?.addEventListener('click', () => { clearScreen(); input.focus(); });
     $$('.t-dot', term).forEach(btn => {
       btn.addEventListener('click', () => {
         const action = btn.getAttribute('data-action');
-        if (action === 'exit') { term.classList.remove('is-full'); }
+        if (action === 'exit') { interrupt(); term.classList.remove('is-full'); }
         if (action === 'expand') { term.classList.toggle('is-full'); input.focus(); }
         if (action === 'minimize') { /* no-op for inline; fullscreen already toggles */ term.classList.remove('is-full'); }
       });
@@ -1635,11 +4172,34 @@ no scheduled maintenance windows. occasional production fires.`);
       tick();
     });
 
-    let booted = false;
-    const startBoot = async () => {
-      if (booted) return;
-      booted = true;
-      if (reduceMotion()) {
+    // ~/.shellrc only exists once someone writes it, so skip it quietly.
+    const runRc = async () => {
+      if (lookup('/.shellrc')?.type !== 'file') return;
+      await runScript('/.shellrc', { stdout: termStream(), stderr: errStream });
+    };
+
+    // <div id="term" data-boot-cast="demo.cast"> replays that recording in
+    // place of the typed boot lines. Resolves false if it can't be played.
+    const bootCast = async () => {
+      const src = term.dataset.bootCast;
+      if (!src) return false;
+      try {
+        const res = await fetch(src);
+        if (!res.ok) return false;
+        await replayCast(parseCast(await res.text()), { speed: reduceMotion() ? Infinity : 1 });
+        return true;
+      } catch {
+        return false;
+      }
+    };
+
+    // Boots once; every caller gets the same promise, so a deep link can
+    // wait for the boot lines before running its commands.
+    let booted = null;
+    const startBoot = ({ plain = false } = {}) => booted || (booted = (async () => {
+      await runRc();
+      if (await bootCast()) return;
+      if (plain || reduceMotion()) {
         printPlain();
         return;
       }
@@ -1650,7 +4210,7 @@ no scheduled maintenance windows. occasional production fires.`);
         await new Promise(r => setTimeout(r, 80));
       }
       newline();
-    };
+    })());
 
     // Trigger boot when the terminal is intersecting the viewport
     if (typeof IntersectionObserver !== 'undefined') {
@@ -1666,13 +4226,90 @@ no scheduled maintenance windows. occasional production fires.`);
       bootObs.observe(term);
     } else {
       // No IO support — print immediately.
-      printPlain();
+      startBoot({ plain: true });
     }
 
+    /* ---- deep links ---- */
+    // #shell?cmd=cat%20about.md&cmd=tree scrolls to the shell and runs each
+    // cmd after boot. Only commands marked `safe` may run from a link: no
+    // redirects, background jobs, assignments or history expansion. A loop
+    // variable must be a plain session one: setting a live, exported or
+    // default variable (THEME, an exported PS1) would outlast the link.
+    const lastingVar = name => LIVE_VARS[name] || Object.prototype.hasOwnProperty.call(envVars, name) || Object.prototype.hasOwnProperty.call(DEFAULT_VARS, name);
+    const linkSafe = list => list.every(({ node, bg }) => {
+      if (bg) return false;
+      if (node.type === 'pipeline') {
+        return node.stages.every(({ argv, redirect }) => {
+          const literal = argv[0].parts.every(p => p.text !== undefined);
+          return !redirect && literal && COMMANDS[argv[0].parts.map(p => p.text).join('').toLowerCase()]?.safe === true;
+        });
+      }
+      if (node.type === 'if') return node.clauses.every(c => linkSafe(c.cond) && linkSafe(c.body)) && (!node.elseBody || linkSafe(node.elseBody));
+      if (node.type === 'for') return !lastingVar(node.name) && linkSafe(node.body);
+      return node.type === 'list' && linkSafe(node.list);
+    });
+
+    const runDeepLink = async () => {
+      const [id, query = ''] = window.location.hash.slice(1).split('?');
+      const cmds = id === 'shell' ? new URLSearchParams(query).getAll('cmd').filter(c => c.trim()) : [];
+      if (!cmds.length) return;
+      window.__scrollToId?.('shell');
+      await startBoot();
+      for (const cmd of cmds) {
+        let ok = false;
+        try { ok = expandHistory(cmd) === cmd && linkSafe(parse(tokenize(cmd))); } catch {}
+        if (ok) await run(cmd, { link: true });
+        else {
+          echoCommand(cmd);
+          printErr(`sh: refusing to run '${cmd}' from a link. only read-only commands are allowed.`);
+        }
+      }
+      safeFocus(input);
+    };
+    runDeepLink();
+    window.addEventListener('hashchange', runDeepLink);
+
+    /* ---- plugin hooks ---- */
+    // Backing for window.portfolio (see initPluginApi).
+    const registerCommand = (name, spec) => {
+      const key = String(name).toLowerCase();
+      if (!/^[a-z0-9][a-z0-9._-]*$/.test(key)) throw new Error(`invalid command name '${name}'`);
+      if (typeof spec?.run !== 'function') throw new Error(`command '${key}' needs a run(args, io) function`);
+      if (COMMANDS[key]) throw new Error(`command '${key}' already exists`);
+      const { usage, details, flags, examples, see } = spec;
+      COMMANDS[key] = {
+        desc: String(spec.desc || ''), usage, details, flags, examples, see,
+        safe: spec.safe === true, complete: spec.complete, run: spec.run, plugin: true,
+      };
+    };
+
+    // Mounted files are built-ins: read-only, and they outrank the overlay.
+    const mountFile = (path, content) => {
+      const segs = resolvePath('/' + String(path).replace(/^~?\/*/, '')).split('/').filter(Boolean);
+      if (!segs.length) throw new Error('mountFile: a file path is required');
+      let node = FS['/'];
+      for (const s of segs.slice(0, -1)) {
+        node.children[s] = node.children[s] || dirNode({}, Date.now());
+        node = node.children[s];
+        if (node.type !== 'dir') throw new Error(`mountFile: ${s}: not a directory`);
+      }
+      const name = segs[segs.length - 1];
+      if (node.children[name]?.type === 'dir') throw new Error(`mountFile: ${name}: is a directory`);
+      node.children[name] = fileNode(String(content), { mtime: Date.now() });
+    };
+
+    const on = (event, fn) => {
+      (listeners[event] = listeners[event] || []).push(fn);
+      return () => { listeners[event] = listeners[event].filter(f => f !== fn); };
+    };
+
     return {
-      run: (s) => run(s),
+      run: async (s) => { await run(s); return lastStatus; },
       focus: () => input.focus(),
       boot: startBoot,
+      registerCommand,
+      mountFile,
+      on,
     };
   }
 
@@ -2531,6 +5168,33 @@ no scheduled maintenance windows. occasional production fires.`);
     } catch {}
   }
 
+  /* -------- plugin api -------- */
+  // window.portfolio is the supported way to extend the site:
+  //   registerCommand(name, { desc, run(args, io), complete, safe,
+  //                           usage, details, flags, examples, see })   see `man`
+  //   registerPaletteItem({ id, label, hint, kind, action })
+  //   mountFile(path, content)     read-only file in the shell's filesystem
+  //   on('command', fn) → off()    fn({ name, args, status }) after each command
+  //   run(line) → Promise<status>
+  // Plugins are <script type="module" data-plugin src="…"> tags placed after
+  // script.js; a default export is called with the API once it exists.
+  function initPluginApi(terminal, palette) {
+    const missing = what => () => { throw new Error(`${what} is not on this page`); };
+    const api = Object.freeze({
+      registerCommand: terminal?.registerCommand ?? missing('terminal'),
+      registerPaletteItem: palette?.addItem ?? missing('command palette'),
+      mountFile: terminal?.mountFile ?? missing('terminal'),
+      on: terminal?.on ?? missing('terminal'),
+      run: terminal?.run ?? missing('terminal'),
+    });
+    window.portfolio = api;
+    $$('script[type="module"][data-plugin][src]').forEach(el => {
+      import(el.src)
+        .then(mod => { if (typeof mod.default === 'function') return mod.default(api); })
+        .catch(e => console.error(`plugin ${el.src} failed:`, e));
+    });
+  }
+
   /* -------- boot -------- */
   function boot() {
     initHeaderHeight();
@@ -2549,8 +5213,8 @@ no scheduled maintenance windows. occasional production fires.`);
     initMobileNav();
 
     const projects = initProjects();
-    initModal();
-    initPalette(projects);
+    const modal = initModal();
+    const palette = initPalette(projects, modal);
     initContactCopy();
     initFootTop();
     initReveal();
@@ -2559,7 +5223,8 @@ no scheduled maintenance windows. occasional production fires.`);
     initKonami();
 
     // New: terminal, signature, github, pinned principles, cursor chip
-    initTerminal();
+    const terminal = initTerminal(projects, modal);
+    initPluginApi(terminal, palette);
     initTerminalGlow();
     initSignature();
     initGithubActivity();